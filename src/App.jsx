@@ -1,5 +1,5 @@
 import { useState, useEffect, useRef } from 'react';
-import { Settings, Play } from 'lucide-react';
+import { Settings, Play, FolderOpen, X, GitCompare } from 'lucide-react';
 import { 
   BrowserRouter as Router, 
   Routes, 
@@ -13,10 +13,15 @@ import {
 import PhylogeneticViewer from './components/PhylogeneticViewer';
 import UnitsPanel from './components/UnitsPanel';
 import UnitConfigPanel from './components/UnitConfigPanel';
+import BouncePanel from './components/BouncePanel';
+import CaptureMenu from './components/CaptureMenu';
 import ViewSwitcher from './components/ViewSwitcher';
 import HeatmapViewer from './components/HeatmapViewer';
+import LocalRunLoader from './components/LocalRunLoader';
 import StrudelReplTest from './components/StrudelReplTest';
 import { StrudelPatternProvider } from './components/strudelPatternContext';
+import { AudioEngineProvider } from './components/AudioEngineProvider';
+import { useAudioManager } from './components/useAudioManager';
 import { DEFAULT_STRUDEL_CODE, LINEAGE_SOUNDS_BUCKET_HOST } from './constants';
 
 // Add unit type definitions at the top of the file
@@ -64,9 +69,19 @@ const TopBar = ({
   showSettings,
   setShowSettings,
   runs,
-  steps 
+  steps,
+  localRun,
+  onOpenLocalRun,
+  onCloseLocalRun,
+  compareMode,
+  setCompareMode,
+  compareRun,
+  handleCompareRunChange,
+  compareIndex,
+  setCompareIndex,
+  compareSteps
 }) => (
-  <div className="p-2 bg-gray-900/80 backdrop-blur">
+  <div className="p-2 bg-gray-900/80 backdrop-blur space-y-2">
     <div className="flex items-center gap-2">
       <button 
         onClick={() => setShowUnits(!showUnits)}
@@ -75,53 +90,136 @@ const TopBar = ({
         <Play size={16} />
       </button>
 
-      <div className="flex-1">
-        <select 
-          value={selectedRun} 
-          onChange={(e) => handleRunChange(e.target.value)}
-          className="w-full bg-gray-800 text-white p-2 rounded border border-gray-700 text-sm"
+      <button 
+        onClick={onOpenLocalRun}
+        className="p-2 rounded hover:bg-gray-800 text-gray-400 transition-colors"
+        title="Open local run"
+      >
+        <FolderOpen size={16} />
+      </button>
+
+      {localRun ? (
+        <div className="flex-1 flex items-center gap-2 bg-gray-800 text-white p-2 rounded border border-gray-700 text-sm">
+          <span className="flex-1 truncate">Local: {localRun.name}</span>
+          <button
+            onClick={onCloseLocalRun}
+            className="text-gray-400 hover:text-white"
+            title="Close local run"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      ) : (
+        <div className="flex-1">
+          <select 
+            value={selectedRun} 
+            onChange={(e) => handleRunChange(e.target.value)}
+            className="w-full bg-gray-800 text-white p-2 rounded border border-gray-700 text-sm"
+          >
+            {runs.map(run => (
+              <option key={run} value={run}>
+                {run.replace(/_/g, ' ')}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      
+      <div className="flex items-center gap-2">
+        {!localRun && (
+          <select
+            value={selectedIndex}
+            onChange={(e) => handleIndexChange(Number(e.target.value))}
+            className="w-40 bg-gray-800 text-white p-2 rounded border border-gray-700 text-sm"
+          >
+            {Array.from({length: steps}, (_, i) => (
+              <option key={i} value={i}>
+                Step {i + 1}
+              </option>
+            ))}
+          </select>
+        )}
+
+        {!localRun && (
+          <button 
+            onClick={() => setCompareMode(!compareMode)}
+            className={`p-2 rounded hover:bg-gray-800 transition-colors ${compareMode ? 'text-blue-400' : 'text-gray-400'}`}
+            title="Compare with another run or step"
+          >
+            <GitCompare size={16} />
+          </button>
+        )}
+
+        <CaptureMenu />
+        
+        <button 
+          onClick={() => setShowSettings(!showSettings)}
+          className="p-2 rounded hover:bg-gray-800 text-gray-400 transition-colors"
         >
-          {runs.map(run => (
-            <option key={run} value={run}>
-              {run.replace(/_/g, ' ')}
-            </option>
-          ))}
-        </select>
+          <Settings size={16} />
+        </button>
       </div>
-      
+    </div>
+
+    {compareMode && !localRun && (
       <div className="flex items-center gap-2">
+        <span className="w-8 text-center text-sm text-orange-400">B</span>
+        <div className="flex-1">
+          <select 
+            value={compareRun} 
+            onChange={(e) => handleCompareRunChange(e.target.value)}
+            className="w-full bg-gray-800 text-white p-2 rounded border border-gray-700 text-sm"
+          >
+            {runs.map(run => (
+              <option key={run} value={run}>
+                {run.replace(/_/g, ' ')}
+              </option>
+            ))}
+          </select>
+        </div>
         <select
-          value={selectedIndex}
-          onChange={(e) => handleIndexChange(Number(e.target.value))}
+          value={compareIndex}
+          onChange={(e) => setCompareIndex(Number(e.target.value))}
           className="w-40 bg-gray-800 text-white p-2 rounded border border-gray-700 text-sm"
         >
-          {Array.from({length: steps}, (_, i) => (
+          {Array.from({length: compareSteps}, (_, i) => (
             <option key={i} value={i}>
               Step {i + 1}
             </option>
           ))}
         </select>
-        
-        <button 
-          onClick={() => setShowSettings(!showSettings)}
-          className="p-2 rounded hover:bg-gray-800 text-gray-400 transition-colors"
-        >
-          <Settings size={16} />
-        </button>
       </div>
-    </div>
+    )}
   </div>
 );
 
-function MainContent({ lineageTreesIndex, treeData, ...props }) {
-  if (!lineageTreesIndex || !treeData) {
-    return <div className="fixed inset-0 bg-gray-950 flex items-center justify-center text-white">
+function MainContent({ lineageTreesIndex, treeData, localRun, ...props }) {
+  const localRunLoader = props.showLocalRunLoader && (
+    <LocalRunLoader
+      onLoad={props.handleLocalRunLoad}
+      onClose={() => props.setShowLocalRunLoader(false)}
+    />
+  );
+
+  if (!localRun && (!lineageTreesIndex || !treeData)) {
+    return <div className="fixed inset-0 bg-gray-950 flex flex-col items-center justify-center gap-4 text-white">
       Loading...
+      <button
+        onClick={() => props.setShowLocalRunLoader(true)}
+        className="flex items-center gap-2 px-3 py-1.5 rounded bg-gray-800 hover:bg-gray-700 text-sm text-gray-300"
+      >
+        <FolderOpen size={14} />
+        Open local run
+      </button>
+      {localRunLoader}
     </div>;
   }
 
-  const runs = Object.keys(lineageTreesIndex);
-  const steps = lineageTreesIndex[props.selectedRun].all.length;
+  const runs = lineageTreesIndex ? Object.keys(lineageTreesIndex) : [];
+  const steps = lineageTreesIndex ? lineageTreesIndex[props.selectedRun].all.length : 0;
+  const selectedTreePath = lineageTreesIndex?.[props.selectedRun].all[props.selectedIndex];
+  const compareSteps = lineageTreesIndex?.[props.compareRun]?.all.length || 0;
+  const compareTreePath = lineageTreesIndex?.[props.compareRun]?.all[props.compareIndex];
 
   return (
     <div className="fixed inset-0 flex flex-col bg-gray-950">
@@ -136,28 +234,64 @@ function MainContent({ lineageTreesIndex, treeData, ...props }) {
         setShowSettings={props.setShowSettings}
         runs={runs}
         steps={steps}
+        localRun={localRun}
+        onOpenLocalRun={() => props.setShowLocalRunLoader(true)}
+        onCloseLocalRun={props.handleCloseLocalRun}
+        compareMode={props.compareMode}
+        setCompareMode={props.setCompareMode}
+        compareRun={props.compareRun}
+        handleCompareRunChange={props.handleCompareRunChange}
+        compareIndex={props.compareIndex}
+        setCompareIndex={props.setCompareIndex}
+        compareSteps={compareSteps}
       />
+      {localRunLoader}
       <div className="flex-1 relative"> {/* Changed to relative */}
         <div className="absolute inset-0">
-          {props.currentView === 'tree' ? (
+          {localRun ? (
+            <PhylogeneticViewer 
+              treeData={localRun.treeData}
+              experiment={localRun.name}
+              evoRunId={localRun.evoRunId}
+              soundUrls={localRun.soundUrls}
+              validationFindings={localRun.validationFindings}
+              showSettings={props.showSettings}
+              setShowSettings={props.setShowSettings}
+              hasAudioInteraction={props.hasAudioInteraction}
+              onAudioInteraction={() => props.setHasAudioInteraction(true)}
+              units={props.units}
+              onSendSoundToUnit={props.handleSendSoundToUnit}
+            />
+          ) : props.currentView === 'tree' ? (
             <PhylogeneticViewer 
               treeData={treeData}
               experiment={props.selectedRun}
-              evoRunId={getEvoRunIdFromSelectedStep(lineageTreesIndex[props.selectedRun].all[props.selectedIndex])}
+              evoRunId={getEvoRunIdFromSelectedStep(selectedTreePath)}
+              compareTreeData={props.compareMode ? props.compareTreeData : null}
+              compareExperiment={props.compareRun}
+              compareEvoRunId={compareTreePath && getEvoRunIdFromSelectedStep(compareTreePath)}
+              compareLabels={{
+                a: `${props.selectedRun} step ${props.selectedIndex + 1}`,
+                b: `${props.compareRun} step ${props.compareIndex + 1}`
+              }}
               showSettings={props.showSettings}
               setShowSettings={props.setShowSettings}
               hasAudioInteraction={props.hasAudioInteraction}
               onAudioInteraction={() => props.setHasAudioInteraction(true)}
+              units={props.units}
+              onSendSoundToUnit={props.handleSendSoundToUnit}
             />
           ) : (
             <HeatmapViewer 
               showSettings={props.showSettings}
               setShowSettings={props.setShowSettings}
               experiment={props.selectedRun}
-              evoRunId={getEvoRunIdFromSelectedStep(lineageTreesIndex[props.selectedRun].all[props.selectedIndex])}
-              matrixUrl={getMatrixUrlFromTreePath(lineageTreesIndex[props.selectedRun].all[props.selectedIndex])}
+              evoRunId={getEvoRunIdFromSelectedStep(selectedTreePath)}
+              matrixUrl={getMatrixUrlFromTreePath(selectedTreePath)}
               hasAudioInteraction={props.hasAudioInteraction}
               onAudioInteraction={() => props.setHasAudioInteraction(true)}
+              units={props.units}
+              onSendSoundToUnit={props.handleSendSoundToUnit}
             />
           )}
         </div>
@@ -177,6 +311,7 @@ function MainContent({ lineageTreesIndex, treeData, ...props }) {
               onToggleState={props.handleToggleState}
               onUpdateVolume={props.handleUpdateVolume}
             />
+            <BouncePanel units={props.units} />
             
             {props.selectedUnitId && (
               <UnitConfigPanel
@@ -190,12 +325,14 @@ function MainContent({ lineageTreesIndex, treeData, ...props }) {
           </div>
         )}
         
-        <div className="fixed right-6 z-40" style={{ bottom: '9.5rem' }}>
-          <ViewSwitcher 
-            activeView={props.currentView}
-            onViewChange={props.handleViewChange}
-          />
-        </div>
+        {!localRun && (
+          <div className="fixed right-6 z-40" style={{ bottom: '9.5rem' }}>
+            <ViewSwitcher 
+              activeView={props.currentView}
+              onViewChange={props.handleViewChange}
+            />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -231,10 +368,19 @@ function MainApp() {
     ...DEFAULT_UNIT_CONFIGS[UNIT_TYPES.TRAJECTORY]
   }]);
   const [playingUnits, setPlayingUnits] = useState(new Set());
+  const [localRun, setLocalRun] = useState(null);
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareRun, setCompareRun] = useState(selectedRun);
+  const [compareIndex, setCompareIndex] = useState(0);
+  const [compareTreeData, setCompareTreeData] = useState(null);
+  const [showLocalRunLoader, setShowLocalRunLoader] = useState(false);
 
   // Group all useRef calls together
   const fetchedTreesRef = useRef(new Set());
   const fetchedIndexRef = useRef(false);
+  const unitChannelsRef = useRef(new Set());
+
+  const { manager: audioManager } = useAudioManager();
 
   // Group all useEffect calls together
   useEffect(() => {
@@ -261,6 +407,23 @@ function MainApp() {
       .catch(error => console.error('Error loading tree:', error));
   }, [lineageTreesIndex, selectedRun, selectedIndex]);
 
+  // Units play through the shared engine on a channel each (sample previews, bounces, Strudel live code),
+  // mixed by the unit's volume, mute and solo
+  useEffect(() => {
+    const keys = new Set(units.map(unit => `unit-${unit.id}`));
+    unitChannelsRef.current.forEach(key => {
+      if (!keys.has(key)) audioManager.removeChannel(key);
+    });
+    units.forEach(unit => {
+      audioManager.setChannelLevel(`unit-${unit.id}`, {
+        volume: unit.volume,
+        muted: unit.muted,
+        soloed: unit.soloed
+      });
+    });
+    unitChannelsRef.current = keys;
+  }, [units, audioManager]);
+
   useEffect(() => {
     const newParams = new URLSearchParams(searchParams);
     newParams.set('run', selectedRun);
@@ -283,6 +446,25 @@ function MainApp() {
       .catch(error => console.error('Error loading tree:', error));
   }, [lineageTreesIndex, selectedRun, selectedIndex]);
 
+  // Fetch the second tree for compare mode
+  useEffect(() => {
+    if (!compareMode || !lineageTreesIndex || !lineageTreesIndex[compareRun]) return;
+    const treePath = lineageTreesIndex[compareRun].all[compareIndex];
+
+    // A response for a run or step that is no longer selected must not replace the current one
+    let cancelled = false;
+    setCompareTreeData(null);
+    fetch(`${LINEAGE_SOUNDS_BUCKET_HOST}/lineage-trees/${treePath}`)
+      .then(response => response.json())
+      .then(treeJson => {
+        if (!cancelled) setCompareTreeData(treeJson);
+      })
+      .catch(error => console.error('Error loading compare tree:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [compareMode, lineageTreesIndex, compareRun, compareIndex]);
+
   // Add effect to handle audio interaction state when view changes
   useEffect(() => {
     if (currentView === 'heatmap') {
@@ -319,6 +501,11 @@ function MainApp() {
     setSearchParams(newParams, { replace: true });
   };
 
+  const handleCompareRunChange = (run) => {
+    setCompareRun(run);
+    setCompareIndex(0);
+  };
+
   const handleUnitPlaybackChange = (unitId, isPlaying) => {
     setPlayingUnits(prev => {
       const next = new Set(prev);
@@ -382,6 +569,29 @@ function MainApp() {
     );
   };
 
+  // Sounds sent from a node or cell inspector become the unit's sample
+  const handleSendSoundToUnit = (id, sample) => {
+    setUnits(prevUnits =>
+      prevUnits.map(unit => unit.id === id ? { ...unit, sample } : unit)
+    );
+  };
+
+  const revokeLocalSoundUrls = (run) => {
+    if (!run) return;
+    new Set(run.soundUrls.values()).forEach(url => URL.revokeObjectURL(url));
+  };
+
+  const handleLocalRunLoad = (run) => {
+    revokeLocalSoundUrls(localRun);
+    setLocalRun(run);
+    setShowLocalRunLoader(false);
+  };
+
+  const handleCloseLocalRun = () => {
+    revokeLocalSoundUrls(localRun);
+    setLocalRun(null);
+  };
+
   // ...existing handlers...
 
   return <MainContent 
@@ -407,8 +617,21 @@ function MainApp() {
     handleToggleState={handleToggleState}
     handleUpdateVolume={handleUpdateVolume}
     handleUpdateUnit={handleUpdateUnit}
+    handleSendSoundToUnit={handleSendSoundToUnit}
     hasAudioInteraction={hasAudioInteraction}
     setHasAudioInteraction={setHasAudioInteraction}
+    localRun={localRun}
+    showLocalRunLoader={showLocalRunLoader}
+    setShowLocalRunLoader={setShowLocalRunLoader}
+    handleLocalRunLoad={handleLocalRunLoad}
+    handleCloseLocalRun={handleCloseLocalRun}
+    compareMode={compareMode}
+    setCompareMode={setCompareMode}
+    compareRun={compareRun}
+    handleCompareRunChange={handleCompareRunChange}
+    compareIndex={compareIndex}
+    setCompareIndex={setCompareIndex}
+    compareTreeData={compareTreeData}
   />;
 }
 
@@ -432,9 +655,11 @@ const router = createBrowserRouter(
 
 function App() {
   return (
-    <StrudelPatternProvider>
-      <RouterProvider router={router} />
-    </StrudelPatternProvider>
+    <AudioEngineProvider>
+      <StrudelPatternProvider>
+        <RouterProvider router={router} />
+      </StrudelPatternProvider>
+    </AudioEngineProvider>
   );
 }
 
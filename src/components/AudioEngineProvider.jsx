@@ -0,0 +1,86 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import AudioManager from './AudioManager';
+import { AudioEngineContext } from './audioEngineContext';
+import { usePersistentState } from './usePersistentState';
+
+// The app's one audio engine: a single AudioManager, and with it the AudioContext, master bus, reverb and
+// voice pool that the views, the inspector, unit samples and Strudel live code play through. Reverb, polyphony
+// and spatialization are engine settings shared by all views.
+export const AudioEngineProvider = ({ children }) => {
+  const [manager] = useState(() => new AudioManager());
+  const [audioContext, setAudioContext] = useState(null);
+  const [inspectorOutput, setInspectorOutput] = useState(null);  // The inspector's channel, so it has its own level
+  const [isRunning, setIsRunning] = useState(false);
+  const [reverbAmount, setReverbAmount] = usePersistentState('reverbAmount', 5);
+  const [maxVoices, setMaxVoices] = usePersistentState('maxVoices', 4);
+  const [spatialMode, setSpatialMode] = usePersistentState('spatialMode', 'off');
+
+  // The context starts suspended until resume() is called from a user gesture
+  useEffect(() => {
+    manager.initialize().catch(error => console.error('Error initializing audio:', error));
+    const context = manager.context;
+    const handleStateChange = () => setIsRunning(context.state === 'running');
+    handleStateChange();
+    setAudioContext(context);
+    setInspectorOutput(manager.channel('inspector'));
+    context.addEventListener('statechange', handleStateChange);
+    return () => {
+      context.removeEventListener('statechange', handleStateChange);
+      manager.cleanup();
+    };
+  }, [manager]);
+
+  useEffect(() => {
+    manager.setReverbMix(reverbAmount);
+  }, [manager, reverbAmount, audioContext]);
+
+  useEffect(() => {
+    manager.setMaxVoices(maxVoices);
+  }, [manager, maxVoices, audioContext]);
+
+  useEffect(() => {
+    manager.setSpatialMode(spatialMode);
+  }, [manager, spatialMode]);
+
+  const resume = useCallback(async () => {
+    try {
+      await manager.initialize();
+      await manager.resume();
+    } catch (error) {
+      console.error('Error resuming audio:', error);
+    }
+  }, [manager]);
+
+  const playSound = useCallback(async (url, cellIndices, options) => {
+    try {
+      return await manager.playSound(url, cellIndices, options);
+    } catch (error) {
+      console.error('Error playing sound:', error);
+      return null;
+    }
+  }, [manager]);
+
+  const value = useMemo(() => ({
+    manager,
+    audioContext,
+    inspectorOutput,
+    isRunning,
+    resume,
+    playSound,
+    reverbAmount,
+    setReverbAmount,
+    maxVoices,
+    setMaxVoices,
+    spatialMode,
+    setSpatialMode
+  }), [
+    manager, audioContext, inspectorOutput, isRunning, resume, playSound,
+    reverbAmount, setReverbAmount, maxVoices, setMaxVoices, spatialMode, setSpatialMode
+  ]);
+
+  return (
+    <AudioEngineContext.Provider value={value}>
+      {children}
+    </AudioEngineContext.Provider>
+  );
+};
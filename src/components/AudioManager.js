@@ -1,9 +1,19 @@
+import SampleCache from './SampleCache';
+import MasterRecorder from './MasterRecorder';
+
 class AudioManager {
   constructor() {
     this.context = null;
     this.maxVoices = 4;
     this.voices = new Map();
-    this.playingCells = new Set();
+    this.playingCells = new Map();  // `${channel}:${i}-${j}` -> { channel, cellIndices } of the cells with a sounding voice
+    this.playingCellsListeners = new Set();  // Notified whenever playingCells changes
+    this.channels = new Map();  // Named sub-buses of the input bus, e.g. one per view or unit
+    this.channelLevels = new Map();  // { volume (dB), muted, soloed } of the channels that have a level
+    this.samples = new SampleCache();  // Decoded sounds, shared by every voice and the inspector
+    this.reverbAmount = null;  // Wet percentage, once set
+    this.eventRecording = null;  // { startTime, events } while voices are recorded for an offline bounce
+    this.spatialMode = 'off';    // 'off', 'stereo' or 'hrtf': how voices with a position are placed
 
     // Audio processing nodes
     this.inputBus = null;      // Combines all voice inputs
@@ -13,70 +23,167 @@ class AudioManager {
     this.wetGainNode = null;   // Wet (reverb) signal
     this.masterCompressor = null; // Final stage compression
     this.masterGain = null;    // Final output control
+    this.recorder = null;      // Captures the master output
   }
 
   async initialize() {
     if (this.context) return;
 
     this.context = new (window.AudioContext || window.webkitAudioContext)();
+    Object.assign(this, this.createMasterChain(this.context));
+
+    // Tap the output from the start, so the retroactive buffer always holds the last minute
+    this.recorder = new MasterRecorder(this.context);
+    this.recorder.connect(this.masterGain).catch(error => console.error('Error setting up the output capture:', error));
+
+    // Load reverb impulse response
+    try {
+      const response = await fetch('/WIDEHALL-1.wav');
+      const arrayBuffer = await response.arrayBuffer();
+      const audioBuffer = await this.context.decodeAudioData(arrayBuffer);
+      this.convolverNode.buffer = audioBuffer;
+    } catch (error) {
+      console.error('Error loading reverb:', error);
+    }
+  }
 
+  // The processing chain from the input bus to the context's output, shared by live playback and offline bounces
+  createMasterChain(context) {
     // Create input bus (summing node)
-    this.inputBus = this.context.createGain();
-    this.inputBus.gain.value = 1.0 / this.maxVoices; // Prevent clipping from summing
+    const inputBus = context.createGain();
+    inputBus.gain.value = 1.0 / this.maxVoices; // Prevent clipping from summing
 
     // Create compressor for voice mixing
-    this.compressor = this.context.createDynamicsCompressor();
-    this.compressor.threshold.value = -24;
-    this.compressor.knee.value = 12;
-    this.compressor.ratio.value = 4;
-    this.compressor.attack.value = 0.005;
-    this.compressor.release.value = 0.250;
+    const compressor = context.createDynamicsCompressor();
+    compressor.threshold.value = -24;
+    compressor.knee.value = 12;
+    compressor.ratio.value = 4;
+    compressor.attack.value = 0.005;
+    compressor.release.value = 0.250;
 
     // Create reverb chain
-    this.convolverNode = this.context.createConvolver();
-    this.dryGainNode = this.context.createGain();
-    this.wetGainNode = this.context.createGain();
+    const convolverNode = context.createConvolver();
+    const dryGainNode = context.createGain();
+    const wetGainNode = context.createGain();
+    if (this.reverbAmount !== null) {
+      wetGainNode.gain.value = this.reverbAmount / 100;
+      dryGainNode.gain.value = 1 - this.reverbAmount / 100;
+    }
 
     // Create master compressor
-    this.masterCompressor = this.context.createDynamicsCompressor();
-    this.masterCompressor.threshold.value = -12;
-    this.masterCompressor.knee.value = 12;
-    this.masterCompressor.ratio.value = 3;
-    this.masterCompressor.attack.value = 0.025;
-    this.masterCompressor.release.value = 0.250;
+    const masterCompressor = context.createDynamicsCompressor();
+    masterCompressor.threshold.value = -12;
+    masterCompressor.knee.value = 12;
+    masterCompressor.ratio.value = 3;
+    masterCompressor.attack.value = 0.025;
+    masterCompressor.release.value = 0.250;
 
     // Create master gain
-    this.masterGain = this.context.createGain();
-    this.masterGain.gain.value = 0.8; // Leave headroom
+    const masterGain = context.createGain();
+    masterGain.gain.value = 0.8; // Leave headroom
 
     // Connect the processing chain
-    this.inputBus.connect(this.compressor);
-    this.compressor.connect(this.dryGainNode);
-    this.compressor.connect(this.convolverNode);
-    this.convolverNode.connect(this.wetGainNode);
+    inputBus.connect(compressor);
+    compressor.connect(dryGainNode);
+    compressor.connect(convolverNode);
+    convolverNode.connect(wetGainNode);
     
     // Final mixing stage
-    this.dryGainNode.connect(this.masterCompressor);
-    this.wetGainNode.connect(this.masterCompressor);
-    this.masterCompressor.connect(this.masterGain);
-    this.masterGain.connect(this.context.destination);
+    dryGainNode.connect(masterCompressor);
+    wetGainNode.connect(masterCompressor);
+    masterCompressor.connect(masterGain);
+    masterGain.connect(context.destination);
 
-    // Load reverb impulse response
-    try {
-      const response = await fetch('/WIDEHALL-1.wav');
-      const arrayBuffer = await response.arrayBuffer();
-      const audioBuffer = await this.context.decodeAudioData(arrayBuffer);
-      this.convolverNode.buffer = audioBuffer;
-    } catch (error) {
-      console.error('Error loading reverb:', error);
+    return { inputBus, compressor, convolverNode, dryGainNode, wetGainNode, masterCompressor, masterGain };
+  }
+
+  // Subscribe to changes of the playing cells, so views can repaint only when playback state changes;
+  // returns the unsubscribe function
+  onPlayingCellsChange(listener) {
+    this.playingCellsListeners.add(listener);
+    return () => this.playingCellsListeners.delete(listener);
+  }
+
+  setCellPlaying(cellKey, isPlaying, cell) {
+    const changed = isPlaying ? !this.playingCells.has(cellKey) : this.playingCells.has(cellKey);
+    if (!changed) return;
+    if (isPlaying) {
+      this.playingCells.set(cellKey, cell);
+    } else {
+      this.playingCells.delete(cellKey);
     }
+    this.playingCellsListeners.forEach(listener => listener(this.playingCells));
+  }
+
+  setMaxVoices(count) {
+    this.maxVoices = count;
+    if (this.inputBus) {
+      this.inputBus.gain.setTargetAtTime(1.0 / count, this.context.currentTime, 0.05);
+    }
+  }
+
+  // Gain node feeding the input bus under the given name, so everything played through it
+  // shares the voice pool, reverb and master bus but can have its own level
+  channel(key) {
+    if (!this.channels.has(key)) {
+      if (!this.context) return null;
+      const channel = this.context.createGain();
+      channel.connect(this.inputBus);
+      this.channels.set(key, channel);
+      this.applyChannelLevels();
+    }
+    return this.channels.get(key);
+  }
+
+  // Levels work like a mixer strip; soloing a channel silences the other channels that have a level
+  setChannelLevel(key, { volume = 0, muted = false, soloed = false }) {
+    this.channelLevels.set(key, { volume, muted, soloed });
+    this.applyChannelLevels();
+  }
+
+  removeChannel(key) {
+    this.channelLevels.delete(key);
+    const channel = this.channels.get(key);
+    if (channel) {
+      channel.disconnect();
+      this.channels.delete(key);
+    }
+    this.applyChannelLevels();
+  }
+
+  applyChannelLevels() {
+    if (!this.context) return;
+    this.channels.forEach((channel, key) => {
+      if (!this.channelLevels.has(key)) return;
+      channel.gain.setTargetAtTime(this.channelGain(key), this.context.currentTime, 0.02);
+    });
   }
 
-  isCellPlaying(i, j) {
-    return this.playingCells.has(`${i}-${j}`);
+  channelGain(key) {
+    const level = this.channelLevels.get(key);
+    if (!level) return 1;
+    const anySoloed = [...this.channelLevels.values()].some(({ soloed }) => soloed);
+    return level.muted || (anySoloed && !level.soloed) ? 0 : Math.pow(10, level.volume / 20);
+  }
+
+  // Cells are kept per channel, so views keying cells the same way don't see each other's sounds
+  cellKey(channel, { i, j }) {
+    return `${channel || ''}:${i}-${j}`;
+  }
+
+  isCellPlaying(i, j, channel) {
+    return this.playingCells.has(this.cellKey(channel, { i, j }));
+  }
+
+  // The cell indices playing on a channel
+  playingCellsOf(channel) {
+    return [...this.playingCells.values()]
+      .filter(cell => cell.channel === channel)
+      .map(cell => cell.cellIndices);
   }
 
   setReverbMix(wetAmount) {
+    this.reverbAmount = wetAmount;
     if (!this.context) return;
     
     const wet = wetAmount / 100;
@@ -86,10 +193,61 @@ class AudioManager {
     this.dryGainNode.gain.setTargetAtTime(dry, this.context.currentTime, 0.1);
   }
 
-  async playSound(url, cellIndices) {
+  setSpatialMode(mode) {
+    this.spatialMode = mode;
+  }
+
+  // Places a voice at position ({ angle, distance }, see spatial.js): panned by its angle, quieter and
+  // duller further away. Returns the node to connect the voice to, which feeds output.
+  createSpatialChain(context, { angle, distance }, output) {
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = Math.max(800, 20000 * Math.pow(2, -3 * distance));
+
+    if (this.spatialMode === 'hrtf') {
+      // The inverse distance model gives the same 1 / (1 + distance) attenuation as the stereo mode
+      const panner = context.createPanner();
+      panner.panningModel = 'HRTF';
+      panner.distanceModel = 'inverse';
+      panner.refDistance = 1;
+      panner.positionX.value = Math.sin(angle) * (1 + distance);
+      panner.positionZ.value = -Math.cos(angle) * (1 + distance);
+      filter.connect(panner);
+      panner.connect(output);
+    } else {
+      const panner = context.createStereoPanner();
+      panner.pan.value = Math.sin(angle);
+      const attenuation = context.createGain();
+      attenuation.gain.value = 1 / (1 + distance);
+      filter.connect(panner);
+      panner.connect(attenuation);
+      attenuation.connect(output);
+    }
+    return filter;
+  }
+
+  // Where a voice goes: its channel, through the spatial chain when it has a position and spatialization is on
+  voiceInput(context, output, position) {
+    return position && this.spatialMode !== 'off' ? this.createSpatialChain(context, position, output) : output;
+  }
+
+  async loadSample(url) {
+    if (!this.context) await this.initialize();
+    return this.samples.get(url, this.context);
+  }
+
+  // Start downloading and decoding sounds that are likely to be played next, e.g. the neighbours of a hovered node
+  prefetch(urls) {
+    if (!this.context) return;
+    this.samples.prefetch(urls, this.context);
+  }
+
+  // options.channel routes the voice through that channel instead of straight into the input bus,
+  // options.position places it around the listener when spatialization is on
+  async playSound(url, cellIndices, { channel, position } = {}) {
     if (!this.context) await this.initialize();
 
-    const cellKey = `${cellIndices.i}-${cellIndices.j}`;
+    const cellKey = this.cellKey(channel, cellIndices);
     
     // Remove the early return that prevents replaying
     // if (this.playingCells.has(cellKey)) {
@@ -99,9 +257,7 @@ class AudioManager {
     let voiceId = this.findFreeVoice();
     
     try {
-      const response = await fetch(url);
-      const arrayBuffer = await response.arrayBuffer();
-      const audioBuffer = await this.context.decodeAudioData(arrayBuffer);
+      const audioBuffer = await this.loadSample(url);
 
       // Voice-specific processing chain
       const source = this.context.createBufferSource();
@@ -120,9 +276,9 @@ class AudioManager {
 
       // Connect voice to processing chain
       source.connect(voiceGain);
-      voiceGain.connect(this.inputBus);
+      voiceGain.connect(this.voiceInput(this.context, channel ? this.channel(channel) : this.inputBus, position));
 
-      this.playingCells.add(cellKey);
+      this.setCellPlaying(cellKey, true, { channel, cellIndices });
 
       const voice = {
         id: voiceId,
@@ -132,18 +288,25 @@ class AudioManager {
         startTime: this.context.currentTime,
         isReleasing: false,
         cellKey,
-        cellIndices
+        cellIndices,
+        channel
       };
 
       this.voices.set(voiceId, voice);
 
       const cleanupVoice = () => {
-        this.playingCells.delete(cellKey);
+        this.setCellPlaying(cellKey, false);
         this.releaseVoice(voiceId, true);
       };
 
       source.onended = cleanupVoice;
       source.start();
+      this.eventRecording?.events.push({
+        time: this.context.currentTime - this.eventRecording.startTime,
+        url,
+        channel,
+        position
+      });
 
       // Safety cleanup
       setTimeout(cleanupVoice, (audioBuffer.duration * 1000) + 100);
@@ -151,12 +314,12 @@ class AudioManager {
       return { voiceId, cellIndices };
     } catch (error) {
       console.error('Error playing sound:', error);
-      this.playingCells.delete(cellKey);
+      this.setCellPlaying(cellKey, false);
       return null;
     }
   }
 
-  releaseVoice(voiceId, immediate = false) {
+  releaseVoice(voiceId, immediate = false, releaseTime = 0.1) {
     const voice = this.voices.get(voiceId);
     if (!voice || voice.isReleasing) return;
 
@@ -165,7 +328,7 @@ class AudioManager {
     if (immediate) {
       try {
         if (voice.cellKey) {
-          this.playingCells.delete(voice.cellKey);
+          this.setCellPlaying(voice.cellKey, false);
         }
         voice.source.stop();
         voice.source.disconnect();
@@ -175,17 +338,17 @@ class AudioManager {
         console.error('Error stopping voice:', e);
       }
     } else {
-      // Gentle release envelope
+      // Gentle release envelope (longer release times are used for crossfades)
       voice.gainNode.gain.setTargetAtTime(
         0,
         this.context.currentTime,
-        0.015
+        releaseTime * 0.15
       );
 
       setTimeout(() => {
         try {
           if (voice.cellKey) {
-            this.playingCells.delete(voice.cellKey);
+            this.setCellPlaying(voice.cellKey, false);
           }
           voice.source.stop();
           voice.source.disconnect();
@@ -194,7 +357,7 @@ class AudioManager {
         } catch (e) {
           console.error('Error cleaning up voice:', e);
         }
-      }, 100);
+      }, releaseTime * 1000);
     }
   }
 
@@ -226,10 +389,88 @@ class AudioManager {
     return this.context?.resume();
   }
 
+  // Voices started between these calls become events that renderOffline can bounce
+  startEventRecording() {
+    this.eventRecording = { startTime: this.context ? this.context.currentTime : 0, events: [] };
+  }
+
+  stopEventRecording() {
+    const recording = this.eventRecording;
+    this.eventRecording = null;
+    if (!recording) return null;
+    return { events: recording.events, duration: this.context.currentTime - recording.startTime };
+  }
+
+  // Renders events ({ time, url, channel, position, playbackRate, offset }, offset being a fraction of the sound)
+  // through a copy of the live chain with the current reverb, polyphony, channel levels and spatialization,
+  // reverb tail included
+  async renderOffline(events, duration) {
+    if (!this.context) await this.initialize();
+    const impulse = this.convolverNode.buffer;
+    const sampleRate = this.context.sampleRate;
+    const length = Math.ceil((duration + (impulse ? impulse.duration : 0)) * sampleRate);
+    const context = new OfflineAudioContext(2, Math.max(length, 1), sampleRate);
+    const chain = this.createMasterChain(context);
+    chain.convolverNode.buffer = impulse;
+
+    const channels = new Map();
+    const channelInput = (key) => {
+      if (!key) return chain.inputBus;
+      if (!channels.has(key)) {
+        const channel = context.createGain();
+        channel.gain.value = this.channelGain(key);
+        channel.connect(chain.inputBus);
+        channels.set(key, channel);
+      }
+      return channels.get(key);
+    };
+
+    const buffers = await Promise.all(events.map(event => this.loadSample(event.url).catch(error => {
+      console.error('Error loading sound for the bounce:', error);
+      return null;
+    })));
+    // As in findFreeVoice, a sound beyond maxVoices cuts off the oldest one still sounding
+    let sounding = [];  // { source, end } in order of their start
+    events
+      .map((event, index) => ({ event, buffer: buffers[index] }))
+      .filter(({ buffer }) => buffer)
+      .sort((a, b) => a.event.time - b.event.time)
+      .forEach(({ event, buffer }) => {
+        sounding = sounding.filter(voice => voice.end > event.time);
+        if (sounding.length >= this.maxVoices) {
+          sounding.shift().source.stop(event.time);
+        }
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = event.playbackRate || 1;
+        const voiceGain = context.createGain();
+        voiceGain.gain.setValueAtTime(0, event.time);
+        voiceGain.gain.setTargetAtTime(0.7, event.time, 0.015);
+        source.connect(voiceGain);
+        voiceGain.connect(this.voiceInput(context, channelInput(event.channel), event.position));
+        const offset = (event.offset || 0) * buffer.duration;
+        source.start(event.time, offset);
+        sounding.push({ source, end: event.time + (buffer.duration - offset) / source.playbackRate.value });
+      });
+
+    return context.startRendering();
+  }
+
+  // Stops only the voices of one channel, so a view can silence itself without cutting off the others
+  stopChannel(channel) {
+    this.voices.forEach((voice, id) => {
+      if (voice.channel === channel) this.releaseVoice(id, true);
+    });
+  }
+
   cleanup() {
     Array.from(this.voices.keys()).forEach(id => this.releaseVoice(id, true));
     this.voices.clear();
-    this.playingCells.clear();
+    if (this.playingCells.size > 0) {
+      this.playingCells.clear();
+      this.playingCellsListeners.forEach(listener => listener(this.playingCells));
+    }
   }
 }
 
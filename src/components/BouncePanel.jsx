@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { Circle, Square, Download } from 'lucide-react';
+import { useAudioManager } from './useAudioManager';
+import { usePersistentState } from './usePersistentState';
+import { arrangeUnits, encodeWav } from './bounce';
+import { downloadFile } from './phylogenetic-tree-common';
+
+// Renders performances to 24-bit WAV files faster than real time: either the sounds triggered while
+// recording (hovers, previews) or the units' samples arranged over a number of bars
+const BouncePanel = ({ units }) => {
+  const { manager: audioManager } = useAudioManager();
+  const [isRecording, setIsRecording] = useState(false);
+  const [recording, setRecording] = useState(null);  // { events, duration }
+  const [isRendering, setIsRendering] = useState(false);
+  const [bars, setBars] = usePersistentState('bounceBars', 4);
+  const [bpm, setBpm] = usePersistentState('bounceBpm', 120);
+
+  const toggleRecording = () => {
+    if (isRecording) {
+      setRecording(audioManager.stopEventRecording());
+      setIsRecording(false);
+    } else {
+      audioManager.startEventRecording();
+      setIsRecording(true);
+    }
+  };
+
+  const bounce = async ({ events, duration }, fileName) => {
+    setIsRendering(true);
+    try {
+      const rendered = await audioManager.renderOffline(events, duration);
+      downloadFile(encodeWav(rendered, 24), fileName, 'audio/wav');
+    } catch (error) {
+      console.error('Error bouncing audio:', error);
+    } finally {
+      setIsRendering(false);
+    }
+  };
+
+  const arrangement = arrangeUnits(units, { bars, bpm });
+
+  return (
+    <div className="mt-2 p-2 bg-gray-900/95 backdrop-blur rounded-sm text-sm text-gray-300 space-y-2 min-w-[16rem]">
+      <div className="flex items-center gap-2">
+        <button
+          onClick={toggleRecording}
+          className={`p-1.5 rounded-sm ${isRecording ? 'bg-red-600 text-white' : 'bg-gray-800 hover:bg-gray-700'}`}
+          title={isRecording ? 'Stop recording' : 'Record the sounds played from now on'}
+        >
+          {isRecording ? <Square size={14} /> : <Circle size={14} />}
+        </button>
+        <span className="flex-1 text-xs text-gray-400">
+          {isRecording ? 'Recording…' :
+            recording ? `${recording.events.length} sounds, ${recording.duration.toFixed(1)} s` : 'No recording'}
+        </span>
+        <button
+          onClick={() => bounce(recording, 'recording.wav')}
+          disabled={!recording?.events.length || isRendering}
+          className="p-1.5 rounded-sm bg-gray-800 hover:bg-gray-700 disabled:opacity-50"
+          title="Bounce the recording to WAV"
+        >
+          <Download size={14} />
+        </button>
+      </div>
+      <div className="flex items-center gap-2 text-xs">
+        <input
+          type="number"
+          min={1}
+          max={64}
+          value={bars}
+          onChange={(e) => setBars(Math.max(1, Number(e.target.value)))}
+          className="w-12 px-1 py-0.5 bg-gray-800 rounded"
+        />
+        <span>bars at</span>
+        <input
+          type="number"
+          min={30}
+          max={300}
+          value={bpm}
+          onChange={(e) => setBpm(Math.max(30, Number(e.target.value)))}
+          className="w-14 px-1 py-0.5 bg-gray-800 rounded"
+        />
+        <span className="flex-1">BPM</span>
+        <button
+          onClick={() => bounce(arrangement, `units-${bars}-bars.wav`)}
+          disabled={!arrangement.events.length || isRendering}
+          className="p-1.5 rounded-sm bg-gray-800 hover:bg-gray-700 disabled:opacity-50"
+          title={arrangement.events.length ? 'Bounce the units to WAV' : 'No active unit has a sample'}
+        >
+          <Download size={14} />
+        </button>
+      </div>
+      {isRendering && <div className="text-xs text-gray-400">Rendering…</div>}
+    </div>
+  );
+};
+
+export default BouncePanel;
@@ -0,0 +1,143 @@
+import { useState, useEffect, useRef } from 'react';
+import { Circle, Square, History, ListMusic, Play, Download, Trash2 } from 'lucide-react';
+import { useAudioManager } from './useAudioManager';
+import { encodeWav } from './bounce';
+import { downloadFile } from './phylogenetic-tree-common';
+
+const RETROACTIVE_SECONDS = 60;
+
+// Records the master output to takes: either from now on with the record button, or the last minute
+// that was already heard. Takes are kept for the session as WAVs that can be played back and downloaded.
+const CaptureMenu = () => {
+  const { manager: audioManager, isRunning } = useAudioManager();
+  const [isRecording, setIsRecording] = useState(false);
+  const [takes, setTakes] = useState([]);  // { id, name, blob, url, duration }
+  const [showTakes, setShowTakes] = useState(false);
+  const [playingTakeId, setPlayingTakeId] = useState(null);
+  const audioRef = useRef(null);
+  const takesRef = useRef(takes);
+  takesRef.current = takes;
+
+  useEffect(() => () => {
+    audioRef.current?.pause();
+    takesRef.current.forEach(take => URL.revokeObjectURL(take.url));
+  }, []);
+
+  const addTake = (buffer, label) => {
+    const blob = encodeWav(buffer, 24);
+    const id = Date.now();
+    const time = new Date(id).toLocaleTimeString();
+    setTakes(previous => [...previous, {
+      id,
+      name: `${label} ${time}`,
+      blob,
+      url: URL.createObjectURL(blob),
+      duration: buffer.duration
+    }]);
+    setShowTakes(true);
+  };
+
+  const toggleRecording = () => {
+    const recorder = audioManager.recorder;
+    if (!recorder) return;
+    if (isRecording) {
+      addTake(recorder.stop(), 'Take');
+      setIsRecording(false);
+    } else {
+      recorder.start();
+      setIsRecording(true);
+    }
+  };
+
+  const saveRetroactive = () => {
+    if (!audioManager.recorder) return;
+    addTake(audioManager.recorder.retroactive(RETROACTIVE_SECONDS), `Last ${RETROACTIVE_SECONDS} s`);
+  };
+
+  const togglePlayback = (take) => {
+    audioRef.current?.pause();
+    if (playingTakeId === take.id) {
+      setPlayingTakeId(null);
+      return;
+    }
+    const audio = new Audio(take.url);
+    audio.onended = () => setPlayingTakeId(null);
+    audio.play().catch(error => console.error('Error playing take:', error));
+    audioRef.current = audio;
+    setPlayingTakeId(take.id);
+  };
+
+  const removeTake = (take) => {
+    if (playingTakeId === take.id) {
+      audioRef.current?.pause();
+      setPlayingTakeId(null);
+    }
+    URL.revokeObjectURL(take.url);
+    setTakes(previous => previous.filter(({ id }) => id !== take.id));
+  };
+
+  return (
+    <div className="relative flex items-center">
+      <button
+        onClick={toggleRecording}
+        disabled={!isRunning}
+        className={`p-2 rounded hover:bg-gray-800 transition-colors disabled:opacity-50 ${isRecording ? 'text-red-500' : 'text-gray-400'}`}
+        title={isRecording ? 'Stop recording' : 'Record the output'}
+      >
+        {isRecording ? <Square size={16} /> : <Circle size={16} />}
+      </button>
+      <button
+        onClick={saveRetroactive}
+        disabled={!isRunning}
+        className="p-2 rounded hover:bg-gray-800 text-gray-400 transition-colors disabled:opacity-50"
+        title={`Save the last ${RETROACTIVE_SECONDS} seconds`}
+      >
+        <History size={16} />
+      </button>
+      <button
+        onClick={() => setShowTakes(!showTakes)}
+        className={`p-2 rounded hover:bg-gray-800 transition-colors ${showTakes ? 'text-blue-400' : 'text-gray-400'}`}
+        title="Takes"
+      >
+        <ListMusic size={16} />
+      </button>
+
+      {showTakes && (
+        <div className="absolute top-10 right-0 z-50 w-72 bg-gray-900/95 backdrop-blur border border-gray-800 rounded shadow-lg p-1 text-sm text-gray-300">
+          {takes.length === 0 && (
+            <div className="px-2 py-1.5 text-xs text-gray-400">No takes yet</div>
+          )}
+          {takes.map(take => (
+            <div key={take.id} className="flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-800">
+              <button
+                onClick={() => togglePlayback(take)}
+                className="p-1 text-gray-400 hover:text-white"
+                title={playingTakeId === take.id ? 'Stop' : 'Play'}
+              >
+                {playingTakeId === take.id ? <Square size={12} /> : <Play size={12} />}
+              </button>
+              <span className="flex-1 truncate">{take.name}</span>
+              <span className="text-xs text-gray-500 tabular-nums">{take.duration.toFixed(1)} s</span>
+              <button
+                onClick={() => downloadFile(take.blob, `${take.name.replace(/[^\w-]+/g, '_')}.wav`, 'audio/wav')}
+                className="p-1 text-gray-400 hover:text-white"
+                title="Download"
+              >
+                <Download size={12} />
+              </button>
+              <button
+                onClick={() => removeTake(take)}
+                className="p-1 text-gray-400 hover:text-red-400"
+                title="Delete"
+              >
+                <Trash2 size={12} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CaptureMenu;
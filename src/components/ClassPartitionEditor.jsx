@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { X, Plus } from 'lucide-react';
+import { ALL_YAMNET_TAGS, DEFAULT_CLASS_PARTITIONS } from './class-partitions';
+
+const TagInput = ({ onAdd }) => {
+  const [tag, setTag] = useState('');
+
+  const handleAdd = () => {
+    if (tag.trim()) {
+      onAdd(tag.trim());
+      setTag('');
+    }
+  };
+
+  return (
+    <div className="flex gap-1">
+      <input
+        type="text"
+        list="yamnet-tags"
+        value={tag}
+        onChange={(e) => setTag(e.target.value)}
+        onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+        placeholder="Add YAMNet tag..."
+        className="flex-1 px-2 py-0.5 text-xs bg-gray-800 text-white rounded border border-gray-700 focus:border-blue-500 focus:outline-none"
+      />
+      <button
+        onClick={handleAdd}
+        className="p-1 rounded bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white"
+      >
+        <Plus size={12} />
+      </button>
+    </div>
+  );
+};
+
+const ClassPartitionEditor = ({ partitions, onChange }) => {
+  const updatePartition = (index, update) => {
+    onChange(partitions.map((partition, i) => i === index ? { ...partition, ...update } : partition));
+  };
+
+  const addTag = (index, tag) => {
+    const partition = partitions[index];
+    if (!partition.tags.includes(tag)) {
+      updatePartition(index, { tags: [...partition.tags, tag] });
+    }
+  };
+
+  const removeTag = (index, tag) => {
+    updatePartition(index, { tags: partitions[index].tags.filter(t => t !== tag) });
+  };
+
+  return (
+    <div className="space-y-2">
+      <datalist id="yamnet-tags">
+        {ALL_YAMNET_TAGS.map(tag => <option key={tag} value={tag} />)}
+      </datalist>
+
+      <div className="space-y-2 max-h-64 overflow-y-auto pr-1">
+        {partitions.map((partition, index) => (
+          <div key={index} className="p-2 rounded bg-gray-800/50 space-y-1">
+            <div className="flex items-center gap-1">
+              <input
+                type="text"
+                value={partition.name}
+                onChange={(e) => updatePartition(index, { name: e.target.value })}
+                className="flex-1 px-1 py-0.5 text-xs font-medium bg-transparent text-white rounded border border-transparent focus:border-gray-700 focus:outline-none"
+              />
+              <button
+                onClick={() => onChange(partitions.filter((_, i) => i !== index))}
+                className="p-1 rounded hover:bg-red-600 text-gray-400 hover:text-white"
+                title="Remove group"
+              >
+                <X size={12} />
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-1">
+              {partition.tags.map(tag => (
+                <span key={tag} className="flex items-center gap-0.5 px-1.5 py-0.5 rounded-sm bg-gray-700 text-xs text-gray-300">
+                  {tag}
+                  <button onClick={() => removeTag(index, tag)} className="hover:text-white">
+                    <X size={10} />
+                  </button>
+                </span>
+              ))}
+            </div>
+            <TagInput onAdd={(tag) => addTag(index, tag)} />
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          onClick={() => onChange([...partitions, { name: `Group ${partitions.length + 1}`, tags: [] }])}
+          className="flex-1 px-2 py-1 text-xs rounded bg-gray-800 hover:bg-gray-700 text-white"
+        >
+          Add group
+        </button>
+        <button
+          onClick={() => onChange(DEFAULT_CLASS_PARTITIONS)}
+          className="flex-1 px-2 py-1 text-xs rounded bg-gray-800 hover:bg-gray-700 text-white"
+        >
+          Reset to defaults
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ClassPartitionEditor;
@@ -0,0 +1,57 @@
+import * as d3 from 'd3';
+
+const formatValue = d3.format('.3~g');
+
+// Legend for the node color encoding and, when set, the size encoding
+const EncodingLegend = ({ color, size, categoryLabels = {} }) => (
+  <div className="bg-gray-900/95 backdrop-blur text-white rounded shadow-lg w-64 px-3 py-2 space-y-2 text-xs">
+    {color && (
+      <div className="space-y-1">
+        <div className="font-medium">Color: {color.label}</div>
+        {color.type === 'sequential' ? (
+          <>
+            <div
+              className="h-2 rounded-sm"
+              style={{
+                background: `linear-gradient(to right, ${d3.range(0, 1.01, 0.1).map(t => color.interpolator(t)).join(', ')})`
+              }}
+            />
+            <div className="flex justify-between text-gray-400">
+              <span>{formatValue(color.domain[0])}</span>
+              <span>{formatValue(color.domain[1])}</span>
+            </div>
+          </>
+        ) : (
+          <div className="space-y-0.5 max-h-40 overflow-y-auto">
+            {color.entries.map(([category, fill, count]) => (
+              <div key={category} className="flex items-center gap-2">
+                <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: fill }} />
+                <span className="flex-1 truncate">{categoryLabels[category] || category}</span>
+                <span className="text-gray-400">{count}</span>
+              </div>
+            ))}
+            {color.more > 0 && <div className="text-gray-400">+{color.more} more</div>}
+          </div>
+        )}
+      </div>
+    )}
+
+    {size && (
+      <div className="space-y-1">
+        <div className="font-medium">Size: {size.label}</div>
+        <div className="flex items-center justify-between text-gray-400">
+          {[0, 1].map(i => (
+            <span key={i} className="flex items-center gap-1">
+              <svg width={size.range[1] * 2} height={size.range[1] * 2}>
+                <circle cx={size.range[1]} cy={size.range[1]} r={size.range[i]} fill="#9ca3af" />
+              </svg>
+              {formatValue(size.domain[i])}
+            </span>
+          ))}
+        </div>
+      </div>
+    )}
+  </div>
+);
+
+export default EncodingLegend;
@@ -0,0 +1,61 @@
+import { useState } from 'react';
+import { Download } from 'lucide-react';
+import { EXPORT_DPI_OPTIONS } from './figure-export';
+import { usePersistentState } from './usePersistentState';
+
+// Download button with a menu of exports; items are [label, onExport(options)] pairs,
+// options being the { dpi, fullExtent } picked at the bottom of the menu
+const ExportMenu = ({ items }) => {
+  const [open, setOpen] = useState(false);
+  const [dpi, setDpi] = usePersistentState('exportDpi', 300);
+  const [fullExtent, setFullExtent] = usePersistentState('exportFullExtent', false);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="p-2 rounded-full bg-gray-800/80 hover:bg-gray-700/80 text-white"
+        title="Export"
+      >
+        <Download size={20} />
+      </button>
+      {open && (
+        <div className="absolute bottom-12 right-0 w-48 bg-gray-900/95 backdrop-blur rounded shadow-lg py-1 text-sm text-white">
+          {items.map(([label, onExport]) => (
+            <button
+              key={label}
+              onClick={() => { onExport({ dpi, fullExtent }); setOpen(false); }}
+              className="w-full text-left px-3 py-1.5 hover:bg-gray-800"
+            >
+              {label}
+            </button>
+          ))}
+          <div className="border-t border-gray-800 mt-1 pt-1 px-3 space-y-1 text-xs">
+            <label className="flex items-center justify-between gap-2">
+              <span>Resolution</span>
+              <select
+                value={dpi}
+                onChange={(e) => setDpi(Number(e.target.value))}
+                className="px-1 py-0.5 bg-gray-800 rounded"
+              >
+                {EXPORT_DPI_OPTIONS.map(value => (
+                  <option key={value} value={value}>{value} DPI</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2 py-1" title="Export the whole tree or matrix instead of the visible part">
+              <input
+                type="checkbox"
+                checked={fullExtent}
+                onChange={(e) => setFullExtent(e.target.checked)}
+              />
+              Export full extent
+            </label>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,41 @@
+import { ChevronRight, X } from 'lucide-react';
+
+// Deep lineages only show the first and the last few ancestors
+const MAX_VISIBLE_CRUMBS = 5;
+
+const FocusBreadcrumbs = ({ path, onSelect, onClose }) => {
+  const crumbs = path.length > MAX_VISIBLE_CRUMBS ?
+    [path[0], null, ...path.slice(-(MAX_VISIBLE_CRUMBS - 1))]
+    : path;
+
+  return (
+    <div className="bg-gray-900/95 backdrop-blur text-white rounded shadow-lg flex items-center gap-1 px-2 py-1 text-xs max-w-[60vw]">
+      {crumbs.map((node, i) => (
+        <span key={node ? node.id || 'root' : 'ellipsis'} className="flex items-center gap-1 min-w-0">
+          {i > 0 && <ChevronRight size={12} className="text-gray-500 shrink-0" />}
+          {node ? (
+            <button
+              onClick={() => onSelect(i === 0 ? null : node.id)}
+              disabled={i === crumbs.length - 1}
+              className="truncate max-w-[10rem] hover:text-blue-400 disabled:text-white disabled:font-medium"
+              title={node.id}
+            >
+              {i === 0 ? 'Root' : node.name || node.id}
+            </button>
+          ) : (
+            <span className="text-gray-500">…</span>
+          )}
+        </span>
+      ))}
+      <button
+        onClick={onClose}
+        className="ml-1 p-0.5 rounded-sm hover:bg-gray-800 text-gray-400 hover:text-white"
+        title="Leave focus mode"
+      >
+        <X size={12} />
+      </button>
+    </div>
+  );
+};
+
+export default FocusBreadcrumbs;
@@ -0,0 +1,71 @@
+import { Play, Pause, Volume2, VolumeX, ChevronsRight } from 'lucide-react';
+
+const GROWTH_DURATIONS = [10, 30, 60, 120];  // Seconds for the whole run
+
+// Scrubber over the generations of the run; nodes born after the shown generation are hidden
+const GrowthTimeline = ({
+  generation,
+  extent,
+  isPlaying,
+  onPlay,
+  onPause,
+  onGenerationChange,
+  onShowAll,
+  duration,
+  onDurationChange,
+  sonify,
+  onSonifyChange
+}) => {
+  const [minGeneration, maxGeneration] = extent;
+  const value = generation ?? maxGeneration;
+
+  return (
+    <div className="flex items-center gap-2 px-3 py-2 bg-gray-900/80 backdrop-blur rounded text-white text-sm">
+      <button
+        onClick={isPlaying ? onPause : onPlay}
+        className="p-1 rounded-sm hover:bg-gray-700"
+        title={isPlaying ? 'Pause' : 'Play the growth of the tree'}
+      >
+        {isPlaying ? <Pause size={14} /> : <Play size={14} />}
+      </button>
+      <input
+        type="range"
+        min={minGeneration}
+        max={maxGeneration}
+        step={1}
+        value={Math.floor(value)}
+        onChange={(e) => onGenerationChange(Number(e.target.value))}
+        className="w-56"
+        aria-label="Generation"
+      />
+      <span className="w-32 text-xs tabular-nums">Generation: {Math.floor(value)}</span>
+      <select
+        value={duration}
+        onChange={(e) => onDurationChange(Number(e.target.value))}
+        className="px-1 py-0.5 bg-gray-800 rounded text-xs"
+        title="Duration of the whole run"
+      >
+        {GROWTH_DURATIONS.map(seconds => (
+          <option key={seconds} value={seconds}>{seconds} s</option>
+        ))}
+      </select>
+      <button
+        onClick={() => onSonifyChange(!sonify)}
+        className={`p-1 rounded-sm hover:bg-gray-700 ${sonify ? 'text-blue-400' : 'text-gray-400'}`}
+        title={sonify ? 'Appearing nodes are played' : 'Appearing nodes are silent'}
+      >
+        {sonify ? <Volume2 size={14} /> : <VolumeX size={14} />}
+      </button>
+      <button
+        onClick={onShowAll}
+        disabled={generation === null}
+        className="p-1 rounded-sm hover:bg-gray-700 disabled:opacity-50"
+        title="Show the final tree"
+      >
+        <ChevronsRight size={14} />
+      </button>
+    </div>
+  );
+};
+
+export default GrowthTimeline;
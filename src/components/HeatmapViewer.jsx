@@ -1,9 +1,15 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { Settings, Download } from 'lucide-react';
+import { Settings } from 'lucide-react';
 import * as d3 from 'd3';
-import {el} from '@elemaudio/core';
-import WebRenderer from '@elemaudio/web-renderer';
 import { LINEAGE_SOUNDS_BUCKET_HOST } from '../constants';
+import Minimap from './Minimap';
+import NodeInspector from './NodeInspector';
+import ExportMenu from './ExportMenu';
+import { downloadUrl, downloadFile } from './phylogenetic-tree-common';
+import { renderFigure, canvasToPng, canvasToPdf } from './figure-export';
+import { usePersistentState } from './usePersistentState';
+import { useAudioManager } from './useAudioManager';
+import { SPATIAL_MODES, columnPosition } from './spatial';
 
 // Add COLORMAP_OPTIONS before component
 const COLORMAP_OPTIONS = {
@@ -95,6 +101,55 @@ const flatten2D = (matrix, dimensions) => {
   return flattened;
 };
 
+// Square cells fit the shorter side of the canvas, otherwise cells stretch to fill it
+const getCellDimensions = (canvas, matrix, useSquareCells) => {
+  if (useSquareCells) {
+    const size = Math.min(canvas.width / matrix[0].length, canvas.height / matrix.length);
+    return { cellWidth: size, cellHeight: size };
+  }
+  return { cellWidth: canvas.width / matrix[0].length, cellHeight: canvas.height / matrix.length };
+};
+
+const getCellColor = (cell, colormap, theme) => (
+  cell.score !== null ?
+    COLORMAP_OPTIONS[colormap][Math.floor(cell.score * (COLORMAP_OPTIONS[colormap].length - 1))] :
+    (theme === 'dark' ? '#1a1a1a' : '#e5e5e5')
+);
+
+const AUDIO_CHANNEL = 'heatmap';
+
+// The up to eight cells around (i, j) that have a sound
+const getNeighborCells = (matrix, i, j) => {
+  const neighbors = [];
+  for (let di = -1; di <= 1; di++) {
+    for (let dj = -1; dj <= 1; dj++) {
+      const cell = (di || dj) && matrix[i + di]?.[j + dj];
+      if (cell?.genomeId) neighbors.push(cell);
+    }
+  }
+  return neighbors;
+};
+
+const getBackgroundColor = (theme) => theme === 'dark' ? '#111827' : '#f3f4f6';
+
+// Cells with their outlines, in matrix coordinates (before the zoom transform)
+const drawCells = (ctx, matrix, { cellWidth, cellHeight }, colormap, theme) => {
+  matrix.forEach((row, i) => {
+    row.forEach((cell, j) => {
+      if (cell) {
+        const x = j * cellWidth;
+        const y = i * cellHeight;
+        
+        ctx.fillStyle = getCellColor(cell, colormap, theme);
+        
+        ctx.fillRect(x, y, cellWidth, cellHeight);
+        ctx.strokeStyle = theme === 'dark' ? '#2a2a2a' : '#d1d5db';
+        ctx.strokeRect(x, y, cellWidth, cellHeight);
+      }
+    });
+  });
+};
+
 const HeatmapViewer = ({
   showSettings,
   setShowSettings,
@@ -102,35 +157,36 @@ const HeatmapViewer = ({
   evoRunId,
   matrixUrl,
   hasAudioInteraction,
-  onAudioInteraction
+  onAudioInteraction,
+  units,
+  onSendSoundToUnit
 }) => {
-  // Add cache for audio files
-  const audioBufferCacheRef = useRef(new Map());
-  const MAX_CACHE_SIZE = 20; // Limit cache size
-  
+  // Cells play through the app's shared audio engine, on the heatmap's own channel
+  const audioEngine = useAudioManager();
+  const audioManager = audioEngine.manager;
+  const { reverbAmount, setReverbAmount, maxVoices, setMaxVoices, spatialMode, setSpatialMode } = audioEngine;
+
   // All refs
   const canvasRef = useRef(null);
   const containerRef = useRef(null);
   const transformRef = useRef(d3.zoomIdentity);
   const currentMatrixRef = useRef(null);
-  const rendererRef = useRef(null);
-  const contextRef = useRef(null);
-  const activeVoicesRef = useRef(new Map());
-  const triggerSourceRef = useRef(null);
   const currentlyPlayingCellRef = useRef(null);
   const throttleTimeoutRef = useRef(null);
   const lastPlayedCellRef = useRef(null);
-  const audioDataCache = useRef(new Map());
+  const zoomRef = useRef(null);
+  const minimapRef = useRef(null);
+  const inspectedCellRef = useRef(null);  // Outlined on the heatmap
 
   // All state
   const [matrixData, setMatrixData] = useState(null);
-  const [reverbAmount, setReverbAmount] = useState(5);
-  const [maxVoices, setMaxVoices] = useState(4);
   const [selectedGeneration, setSelectedGeneration] = useState(0);
   const [selectedColormap, setSelectedColormap] = useState('plasma');
   const [theme, setTheme] = useState('dark');
   const [useSquareCells, setUseSquareCells] = useState(true);
-  const [rendererReady, setRendererReady] = useState(false);
+  const [minimapScene, setMinimapScene] = useState(null);  // { matrix, cellWidth, cellHeight } shown on the minimap
+  const [showMinimap] = usePersistentState('showMinimap', true);  // Toggled from the tree view settings
+  const [inspectedCell, setInspectedCell] = useState(null);  // { cell, i, j } shown in the inspector
 
   // Add matrix data loading effect
   useEffect(() => {
@@ -146,97 +202,26 @@ const HeatmapViewer = ({
       .catch(error => console.error('Error loading matrix data:', error));
   }, [matrixUrl]);
 
-  // Replace AudioManager refs with Elementary refs
-
-  // Initialize Elementary on component mount
-  useEffect(() => {
-    let mounted = true;
-    let audioCtx = null;
-    
-    const setupAudio = async () => {
-      try {
-        audioCtx = new AudioContext();
-        await audioCtx.resume();
-  
-        const core = new WebRenderer();
-        console.log('Setting up audio, context state:', audioCtx.state);
-  
-        await new Promise(resolve => setTimeout(resolve, 0));
-        
-        const node = await core.initialize(audioCtx, {
-          numberOfInputs: 0,
-          numberOfOutputs: 1,
-          outputChannelCount: [2],
-        });
-  
-        console.log('Core initialized');
-        node.connect(audioCtx.destination);
-        
-        if (!mounted) return;
-  
-        console.log('Elementary Audio engine initialized');
-        rendererRef.current = core;
-        contextRef.current = audioCtx;
-        setRendererReady(true);
-  
-      } catch (err) {
-        console.error('Error initializing Elementary Audio:', err);
-      }
-    };
-  
-    setupAudio();
-  
-    return () => {
-      mounted = false;
-      if (audioCtx?.state !== 'closed') {
-        audioCtx.close();
-      }
-    };
-  }, []);
-
-  // Load reverb impulse response
-  useEffect(() => {
-    if (!rendererReady) return;
-
-    const loadReverb = async () => {
-      try {
-        const response = await fetch('/WIDEHALL-1.wav');
-        const arrayBuffer = await response.arrayBuffer();
-        const audioData = await rendererRef.current.context.decodeAudioData(arrayBuffer);
-
-        await rendererRef.current.updateVirtualFileSystem({
-          'reverb-ir': audioData.getChannelData(0)
-        });
-
-        console.log('Reverb IR loaded');
-      } catch (err) {
-        console.error('Error loading reverb:', err);
-      }
-    };
+  // Cells are rendered with the first scoring duration, note delta and velocity of the run
+  const getCellSound = useCallback((cell) => {
+    const config = matrixData.evolutionRunConfig;
+    const fileName = `${cell.genomeId}-${config.classScoringDurations[0]}_${config.classScoringNoteDeltas[0]}_${config.classScoringVelocities[0]}.wav`;
+    return { fileName, audioUrl: `${LINEAGE_SOUNDS_BUCKET_HOST}/${experiment}/${evoRunId}/${fileName}` };
+  }, [matrixData, experiment, evoRunId]);
 
-    loadReverb();
-  }, [rendererReady]);
-
-  // Add cache cleanup function with safe VFS update
-  const cleanupOldestCache = useCallback(async () => {
-    if (audioBufferCacheRef.current.size >= MAX_CACHE_SIZE) {
-      const [oldestKey] = audioBufferCacheRef.current.keys();
-      audioBufferCacheRef.current.delete(oldestKey);
-      if (rendererRef.current) {
-        try {
-          const vfsUpdate = {};
-          vfsUpdate[oldestKey] = new Float32Array(0); // Provide empty array instead of null
-          await rendererRef.current.updateVirtualFileSystem(vfsUpdate);
-        } catch (error) {
-          console.error('Error cleaning up VFS:', error);
-        }
-      }
-    }
-  }, []);
+  // Where a cell's sound comes from: its column on screen, quieter away from the centre of the view
+  const cellPosition = useCallback(({ i, j }) => {
+    const canvas = canvasRef.current;
+    const matrix = currentMatrixRef.current;
+    if (!canvas || !matrix) return undefined;
+    const { cellWidth, cellHeight } = getCellDimensions(canvas, matrix, useSquareCells);
+    const [x, y] = transformRef.current.apply([(j + 0.5) * cellWidth, (i + 0.5) * cellHeight]);
+    return columnPosition(x, y, canvas.width, canvas.height);
+  }, [useSquareCells]);
 
-  // Update playSound to handle VFS properly
+  // Hovering plays one cell at a time: the next sound can start once the current one has ended
   const playSound = useCallback(async (cell, indices) => {
-    if (!hasAudioInteraction || !rendererReady || !rendererRef.current || !matrixData) return;
+    if (!hasAudioInteraction || !matrixData) return;
     if (!cell.genomeId) return; // Skip cells without genomeId
 
     // Throttle sound triggering
@@ -247,134 +232,47 @@ const HeatmapViewer = ({
     if (lastPlayedCellRef.current === cellKey) return;
     lastPlayedCellRef.current = cellKey;
 
-    try {
-      const config = matrixData.evolutionRunConfig;
-      const vfsKey = `sound-${cell.genomeId}`;
-
-      let audioData;
-      // Check both caches
-      if (!audioDataCache.current.has(vfsKey)) {
-        await cleanupOldestCache();
-        
-        const fileName = `${cell.genomeId}-${config.classScoringDurations[0]}_${config.classScoringNoteDeltas[0]}_${config.classScoringVelocities[0]}.wav`;
-        const audioUrl = `${LINEAGE_SOUNDS_BUCKET_HOST}/${experiment}/${evoRunId}/${fileName}`;
-
-        const response = await fetch(audioUrl, {
-          mode: 'cors',
-          headers: { 'Accept': 'audio/wav, audio/*' }
-        });
-
-        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-
-        const arrayBuffer = await response.arrayBuffer();
-        audioData = await rendererRef.current.context.decodeAudioData(arrayBuffer);
-        
-        // Cache the audio data
-        audioDataCache.current.set(vfsKey, audioData);
-      } else {
-        audioData = audioDataCache.current.get(vfsKey);
-      }
-
-      // Update or create VFS entry
-      const vfsUpdate = {};
-      vfsUpdate[vfsKey] = audioData.getChannelData(0);
-      await rendererRef.current.updateVirtualFileSystem(vfsUpdate);
-
-      // Create or update trigger with correct duration
-      const triggerRate = 1 / audioData.duration;
-      const trigger = el.train(
-        el.const({ key: `rate-${cell.genomeId}`, value: triggerRate })
-      );
-
-      // Create new voice
-      const newVoice = el.mul(
-        el.mul(
-          el.sample(
-            { path: vfsKey, mode: 'trigger', key: `sample-${cell.genomeId}` },
-            trigger,
-            el.const({ key: `playback-rate-${cell.genomeId}`, value: 1 })
-          ),
-          el.adsr(0.01, 0.1, 0.7, 0.3, trigger)
-        ),
-        el.const({ key: `voice-gain-${cell.genomeId}`, value: 1 / maxVoices })
-      );
-
-      // Manage voices
-      if (activeVoicesRef.current.size >= maxVoices) {
-        const [oldestKey] = activeVoicesRef.current.keys();
-        activeVoicesRef.current.delete(oldestKey);
-      }
-      activeVoicesRef.current.set(cell.genomeId, newVoice);
-
-      // Mix voices
-      const voices = Array.from(activeVoicesRef.current.values());
-      let mix = voices.length > 1 ? el.add(...voices) : voices[0];
-
-      // Add reverb
-      if (reverbAmount > 0) {
-        const reverbSignal = el.mul(
-          el.convolve({ path: 'reverb-ir', key: `reverb-${cell.genomeId}` }, mix),
-          el.const({ key: `wet-gain-${cell.genomeId}`, value: reverbAmount / 100 * 0.3 })
-        );
-        const drySignal = el.mul(
-          mix,
-          el.const({ key: `dry-gain-${cell.genomeId}`, value: 1 - (reverbAmount / 100) })
-        );
-        mix = el.mul(
-          el.add(drySignal, reverbSignal),
-          el.const({ key: `master-gain-${cell.genomeId}`, value: 0.7 })
-        );
-      }
-
-      await rendererRef.current.render(mix, mix);
-      currentlyPlayingCellRef.current = indices;
-      requestAnimationFrame(drawHeatmap);
+    const result = await audioEngine.playSound(getCellSound(cell).audioUrl, indices, {
+      channel: AUDIO_CHANNEL,
+      position: cellPosition(indices)
+    });
+    if (!result) {
+      lastPlayedCellRef.current = null;
+      return;
+    }
 
-      // Set throttle timeout based on audio duration
-      throttleTimeoutRef.current = setTimeout(() => {
-        throttleTimeoutRef.current = null;
-        lastPlayedCellRef.current = null;
-      }, audioData.duration * 1000); // Convert to milliseconds
+    currentlyPlayingCellRef.current = indices;
+    requestAnimationFrame(drawHeatmap);
+    minimapRef.current?.redrawHighlights();
 
-    } catch (error) {
-      console.error('Error playing sound:', error);
+    // Set throttle timeout based on audio duration
+    const duration = audioManager.voices.get(result.voiceId)?.source.buffer.duration || 0;
+    throttleTimeoutRef.current = setTimeout(() => {
       throttleTimeoutRef.current = null;
       lastPlayedCellRef.current = null;
-    }
-  }, [experiment, evoRunId, hasAudioInteraction, rendererReady, maxVoices, reverbAmount, matrixData, cleanupOldestCache]);
+      currentlyPlayingCellRef.current = null;
+      minimapRef.current?.redrawHighlights();
+    }, duration * 1000); // Convert to milliseconds
+  }, [hasAudioInteraction, matrixData, getCellSound, cellPosition, audioEngine, audioManager]);
 
-  // Update cleanup
+  // Stop the heatmap's sounds when switching to another view
   useEffect(() => {
     return () => {
-      // Clear audio cache with proper VFS cleanup
-      if (rendererRef.current) {
-        const vfsUpdate = {};
-        Array.from(audioBufferCacheRef.current.keys()).forEach(key => {
-          vfsUpdate[key] = new Float32Array(0);
-        });
-        rendererRef.current.updateVirtualFileSystem(vfsUpdate).catch(console.error);
-      }
-      audioBufferCacheRef.current.clear();
-      activeVoicesRef.current.clear();
-      
-      if (contextRef.current?.state !== 'closed') {
-        contextRef.current?.close();
-      }
       if (throttleTimeoutRef.current) {
         clearTimeout(throttleTimeoutRef.current);
       }
-      audioDataCache.current.clear();
+      audioManager.stopChannel(AUDIO_CHANNEL);
     };
-  }, []);
+  }, [audioManager]);
 
   // Add reverb change handler
   const handleReverbChange = useCallback((e) => {
     setReverbAmount(Number(e.target.value));
-  }, []);
+  }, [setReverbAmount]);
 
   // Enhance settings panel with polyphony control
   const renderSettings = () => (
-    <div className="absolute right-0 top-12 p-4 bg-gray-900/95 backdrop-blur rounded-l w-64">
+    <div className="absolute right-0 top-12 z-40 p-4 bg-gray-900/95 backdrop-blur rounded-l w-64">
       <div className="space-y-4">
         {/* Add Colormap Selection */}
         <div className="space-y-2">
@@ -427,6 +325,20 @@ const HeatmapViewer = ({
           </div>
         </div>
 
+        <div className="space-y-2">
+          <label className="text-sm text-white">Spatial Audio</label>
+          <select
+            value={spatialMode}
+            onChange={(e) => setSpatialMode(e.target.value)}
+            className="w-full px-2 py-1 bg-gray-800 text-white rounded text-sm"
+            title="Pan sounds by the column of their cell in the view"
+          >
+            {Object.entries(SPATIAL_MODES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
         {/* ...rest of existing settings... */}
       </div>
     </div>
@@ -441,44 +353,39 @@ const HeatmapViewer = ({
     const matrix = currentMatrixRef.current;
     
     // Clear canvas with theme-appropriate background
-    ctx.fillStyle = theme === 'dark' ? '#111827' : '#f3f4f6';
+    ctx.fillStyle = getBackgroundColor(theme);
     ctx.fillRect(0, 0, canvas.width, canvas.height);
     
     ctx.save();
     ctx.translate(transformRef.current.x, transformRef.current.y);
     ctx.scale(transformRef.current.k, transformRef.current.k);
     
-    // Calculate cell dimensions
-    let cellWidth, cellHeight;
-    if (useSquareCells) {
-      const size = Math.min(canvas.width / matrix[0].length, canvas.height / matrix.length);
-      cellWidth = cellHeight = size;
-    } else {
-      cellWidth = canvas.width / matrix[0].length;
-      cellHeight = canvas.height / matrix.length;
-    }
+    const { cellWidth, cellHeight } = getCellDimensions(canvas, matrix, useSquareCells);
+    drawCells(ctx, matrix, { cellWidth, cellHeight }, selectedColormap, theme);
     
-    // Draw cells
-    matrix.forEach((row, i) => {
-      row.forEach((cell, j) => {
-        if (cell) {
-          const x = j * cellWidth;
-          const y = i * cellHeight;
-          
-          ctx.fillStyle = cell.score !== null ? 
-            COLORMAP_OPTIONS[selectedColormap][Math.floor(cell.score * (COLORMAP_OPTIONS[selectedColormap].length - 1))] : 
-            (theme === 'dark' ? '#1a1a1a' : '#e5e5e5');
-          
-          ctx.fillRect(x, y, cellWidth, cellHeight);
-          ctx.strokeStyle = theme === 'dark' ? '#2a2a2a' : '#d1d5db';
-          ctx.strokeRect(x, y, cellWidth, cellHeight);
-        }
-      });
-    });
+    const inspected = inspectedCellRef.current;
+    if (inspected) {
+      ctx.strokeStyle = '#facc15';
+      ctx.lineWidth = 2 / transformRef.current.k;
+      ctx.strokeRect(inspected.j * cellWidth, inspected.i * cellHeight, cellWidth, cellHeight);
+    }
     
     ctx.restore();
   }, [theme, useSquareCells, selectedColormap]);
 
+  // Show the current zoom transform as the minimap viewport
+  const syncMinimap = useCallback(() => {
+    if (!canvasRef.current) return;
+    minimapRef.current?.setView(transformRef.current, canvasRef.current.width, canvasRef.current.height);
+  }, []);
+
+  // The minimap draws the matrix at the zoom's identity, so it changes with the matrix and the cell size
+  const updateMinimapScene = useCallback(() => {
+    const matrix = currentMatrixRef.current;
+    if (!matrix || !canvasRef.current) return;
+    setMinimapScene({ matrix, ...getCellDimensions(canvasRef.current, matrix, useSquareCells) });
+  }, [useSquareCells]);
+
   // Update matrix when generation changes
   useEffect(() => {
     if (matrixData && selectedGeneration >= 0) {
@@ -487,8 +394,9 @@ const HeatmapViewer = ({
       const flattened = flatten2D(rawMatrix, dimensions);
       currentMatrixRef.current = flattened;
       drawHeatmap();
+      updateMinimapScene();
     }
-  }, [matrixData, selectedGeneration, drawHeatmap]);
+  }, [matrixData, selectedGeneration, drawHeatmap, updateMinimapScene]);
 
   // Handle canvas resize
   useEffect(() => {
@@ -497,6 +405,8 @@ const HeatmapViewer = ({
         canvasRef.current.width = containerRef.current.clientWidth;
         canvasRef.current.height = containerRef.current.clientHeight;
         drawHeatmap();
+        updateMinimapScene();
+        syncMinimap();
       }
     };
 
@@ -504,7 +414,7 @@ const HeatmapViewer = ({
     handleResize(); // Initial size
 
     return () => window.removeEventListener('resize', handleResize);
-  }, [drawHeatmap]);
+  }, [drawHeatmap, updateMinimapScene, syncMinimap]);
 
   // Initialize zoom behavior in useEffect
   useEffect(() => {
@@ -515,7 +425,9 @@ const HeatmapViewer = ({
       .on('zoom', (event) => {
         transformRef.current = event.transform;
         drawHeatmap();
+        syncMinimap();
       });
+    zoomRef.current = zoom;
 
     const canvas = d3.select(canvasRef.current);
     canvas.call(zoom);
@@ -527,7 +439,44 @@ const HeatmapViewer = ({
         .translate(0, 0)
         .scale(1)
     );
-  }, [drawHeatmap]);
+  }, [drawHeatmap, syncMinimap]);
+
+  const minimapBounds = minimapScene && [
+    [0, 0],
+    [minimapScene.matrix[0].length * minimapScene.cellWidth, minimapScene.matrix.length * minimapScene.cellHeight]
+  ];
+
+  const drawMinimapHeatmap = useCallback((ctx) => {
+    if (!minimapScene) return;
+    const { matrix, cellWidth, cellHeight } = minimapScene;
+    matrix.forEach((row, i) => {
+      row.forEach((cell, j) => {
+        if (!cell) return;
+        ctx.fillStyle = getCellColor(cell, selectedColormap, theme);
+        ctx.fillRect(j * cellWidth, i * cellHeight, cellWidth, cellHeight);
+      });
+    });
+  }, [minimapScene, selectedColormap, theme]);
+
+  const drawMinimapPlaying = useCallback((ctx, scale) => {
+    const playing = currentlyPlayingCellRef.current;
+    if (!playing || !minimapScene) return;
+    const { cellWidth, cellHeight } = minimapScene;
+    ctx.strokeStyle = '#ff0000';
+    ctx.lineWidth = 2 / scale;
+    ctx.strokeRect(playing.j * cellWidth, playing.i * cellHeight, cellWidth, cellHeight);
+  }, [minimapScene]);
+
+  // Center the view on a point picked on the minimap
+  const navigateToPoint = useCallback((x, y) => {
+    if (!canvasRef.current || !zoomRef.current) return;
+    d3.select(canvasRef.current).call(zoomRef.current.translateTo, x, y);
+  }, []);
+
+  // The minimap mounts once there is a matrix, so hand it the current viewport then
+  useEffect(() => {
+    if (showMinimap) syncMinimap();
+  }, [showMinimap, minimapScene, syncMinimap]);
 
   // Initialize to last generation when data loads - moved up
   useEffect(() => {
@@ -537,26 +486,69 @@ const HeatmapViewer = ({
     }
   }, [matrixData]);
 
+  // PNG or PDF of the heatmap with a title block and the colormap legend: the visible part,
+  // or the whole matrix at the current zoom level
+  const handleExportFigure = useCallback(async (format, { dpi, fullExtent }) => {
+    const matrix = currentMatrixRef.current;
+    const canvas = canvasRef.current;
+    if (!matrix || !canvas) return;
+    try {
+      const cellSize = getCellDimensions(canvas, matrix, useSquareCells);
+      const transform = transformRef.current;
+      const figure = fullExtent ? {
+        width: Math.ceil(matrix[0].length * cellSize.cellWidth * transform.k),
+        height: Math.ceil(matrix.length * cellSize.cellHeight * transform.k),
+        draw: (ctx) => {
+          ctx.scale(transform.k, transform.k);
+          drawCells(ctx, matrix, cellSize, selectedColormap, theme);
+        }
+      } : {
+        width: canvas.width,
+        height: canvas.height,
+        draw: (ctx) => {
+          ctx.fillStyle = getBackgroundColor(theme);
+          ctx.fillRect(0, 0, canvas.width, canvas.height);
+          ctx.translate(transform.x, transform.y);
+          ctx.scale(transform.k, transform.k);
+          drawCells(ctx, matrix, cellSize, selectedColormap, theme);
+        }
+      };
+
+      const title = experiment || 'Heatmap';
+      const { canvas: figureCanvas, dpi: actualDpi } = await renderFigure({
+        ...figure,
+        title,
+        subtitle: [evoRunId, `Generation ${selectedGeneration * 500}`, new Date().toLocaleDateString()].filter(Boolean).join(' · '),
+        legend: {
+          color: {
+            type: 'sequential',
+            label: 'Score',
+            domain: [0, 1],
+            interpolator: d3.interpolateRgbBasis(COLORMAP_OPTIONS[selectedColormap])
+          }
+        },
+        theme,
+        dpi
+      });
+      const blob = format === 'pdf' ?
+        await canvasToPdf(figureCanvas, actualDpi, `${title} ${evoRunId || ''}`.trim()) :
+        await canvasToPng(figureCanvas, actualDpi);
+      downloadFile(blob, `heatmap-${evoRunId || Date.now()}-${selectedGeneration * 500}.${format}`, blob.type);
+    } catch (error) {
+      console.error(`Error exporting the heatmap as ${format.toUpperCase()}:`, error);
+    }
+  }, [useSquareCells, selectedColormap, theme, experiment, evoRunId, selectedGeneration]);
+
   // Add mouse interaction handlers
-  const handleMouseMove = useCallback((event) => {
-    if (!matrixData || !canvasRef.current || !hasAudioInteraction) return;
+  // Cell under the pointer as { cell, i, j }, or null
+  const cellAt = useCallback((event) => {
+    const matrix = currentMatrixRef.current;
+    if (!matrix || !canvasRef.current) return null;
 
     const rect = canvasRef.current.getBoundingClientRect();
     const x = (event.clientX - rect.left - transformRef.current.x) / transformRef.current.k;
     const y = (event.clientY - rect.top - transformRef.current.y) / transformRef.current.k;
-    
-    const matrix = currentMatrixRef.current;
-    if (!matrix) return;
-
-    // Calculate cell dimensions
-    let cellWidth, cellHeight;
-    if (useSquareCells) {
-      const size = Math.min(canvasRef.current.width / matrix[0].length, canvasRef.current.height / matrix.length);
-      cellWidth = cellHeight = size;
-    } else {
-      cellWidth = canvasRef.current.width / matrix[0].length;
-      cellHeight = canvasRef.current.height / matrix.length;
-    }
+    const { cellWidth, cellHeight } = getCellDimensions(canvasRef.current, matrix, useSquareCells);
 
     // Get cell indices
     const i = Math.floor(y / cellHeight);
@@ -564,9 +556,46 @@ const HeatmapViewer = ({
 
     // Check if within bounds and cell exists
     if (i >= 0 && i < matrix.length && j >= 0 && j < matrix[0].length && matrix[i][j]) {
-      playSound(matrix[i][j], { i, j });
+      return { cell: matrix[i][j], i, j };
     }
-  }, [matrixData, hasAudioInteraction, useSquareCells, playSound]);
+    return null;
+  }, [useSquareCells]);
+
+  const handleMouseMove = useCallback((event) => {
+    if (!matrixData || !hasAudioInteraction) return;
+    const hit = cellAt(event);
+    if (!hit) return;
+    playSound(hit.cell, { i: hit.i, j: hit.j });
+    // The pointer mostly moves on to an adjacent cell, so those sounds are loaded ahead
+    audioManager.prefetch(getNeighborCells(currentMatrixRef.current, hit.i, hit.j).map(cell => getCellSound(cell).audioUrl));
+  }, [matrixData, hasAudioInteraction, cellAt, playSound, audioManager, getCellSound]);
+
+  // Outline the inspected cell; a new generation shows a different matrix, so the inspector closes
+  useEffect(() => {
+    inspectedCellRef.current = inspectedCell;
+    drawHeatmap();
+  }, [inspectedCell, drawHeatmap]);
+
+  useEffect(() => {
+    setInspectedCell(null);
+  }, [matrixData, selectedGeneration]);
+
+  const inspectorMetadata = inspectedCell && (() => {
+    const { cell, i, j } = inspectedCell;
+    const config = matrixData.evolutionRunConfig;
+    const extraFields = Object.entries(cell)
+      .filter(([key, value]) => key !== 'genomeId' && key !== 'score' && value !== null && typeof value !== 'object');
+    return [
+      ['Genome ID', cell.genomeId],
+      ['Score', cell.score !== null ? cell.score.toFixed(3) : 'N/A'],
+      ['Generation', selectedGeneration * 500],
+      ['Cell', `row ${i}, column ${j}`],
+      ['Duration', config.classScoringDurations[0]],
+      ['Note delta', config.classScoringNoteDeltas[0]],
+      ['Velocity', config.classScoringVelocities[0]],
+      ...extraFields
+    ];
+  })();
 
   // Update return statement to include mouse events
   return (
@@ -580,12 +609,17 @@ const HeatmapViewer = ({
         className="w-full h-full"
         style={{ display: 'block' }}
         onMouseMove={handleMouseMove}
-        onClick={() => {
-          if (!hasAudioInteraction && contextRef.current) {
-            contextRef.current.resume().then(() => {
+        onClick={(event) => {
+          if (!hasAudioInteraction) {
+            audioEngine.resume().then(() => {
               onAudioInteraction();
             });
+            return;
           }
+          // Audio is enabled up front in this view, so the first click may still have to resume the engine
+          if (!audioEngine.isRunning) audioEngine.resume();
+          const hit = cellAt(event);
+          setInspectedCell(hit?.cell.genomeId ? hit : null);
         }}
       />
       
@@ -597,6 +631,39 @@ const HeatmapViewer = ({
         </div>
       )}
 
+      <div className="absolute top-2 right-2 z-30 flex flex-col items-end gap-2">
+        {showMinimap && minimapBounds && (
+          <Minimap
+            ref={minimapRef}
+            bounds={minimapBounds}
+            drawContent={drawMinimapHeatmap}
+            drawHighlights={drawMinimapPlaying}
+            onNavigate={navigateToPoint}
+          />
+        )}
+
+        {inspectedCell && (
+          <NodeInspector
+            title={inspectedCell.cell.genomeId}
+            metadata={inspectorMetadata}
+            audioUrl={getCellSound(inspectedCell.cell).audioUrl}
+            audioContext={audioEngine.audioContext}
+            destination={audioEngine.inspectorOutput}
+            units={units}
+            onSendToUnit={onSendSoundToUnit && ((unitId) => onSendSoundToUnit(unitId, {
+              name: inspectedCell.cell.genomeId,
+              genomeId: inspectedCell.cell.genomeId,
+              url: getCellSound(inspectedCell.cell).audioUrl
+            }))}
+            onDownload={() => {
+              const { audioUrl, fileName } = getCellSound(inspectedCell.cell);
+              downloadUrl(audioUrl, fileName, 'audio/wav').catch(error => console.error('Error downloading sound:', error));
+            }}
+            onClose={() => setInspectedCell(null)}
+          />
+        )}
+      </div>
+
       {/* Add generation slider */}
       {matrixData && (
         <div className="fixed bottom-4 left-1/2 -translate-x-1/2 px-4 py-2 bg-gray-900/80 backdrop-blur rounded">
@@ -614,7 +681,18 @@ const HeatmapViewer = ({
         </div>
       )}
 
-      {/* ...existing settings panel and other UI elements... */}
+      {matrixData && (
+        <div className="absolute bottom-2 right-2 z-50">
+          <ExportMenu
+            items={[
+              ['Export as PNG', (options) => handleExportFigure('png', options)],
+              ['Export as PDF', (options) => handleExportFigure('pdf', options)]
+            ]}
+          />
+        </div>
+      )}
+
+      {showSettings && renderSettings()}
     </div>
   );
 };
@@ -0,0 +1,101 @@
+import { X, Play, Square, Crosshair, FoldVertical } from 'lucide-react';
+
+const LineagePanel = ({
+  lineage,
+  includeDescendants,
+  onIncludeDescendantsChange,
+  lineageGap,
+  onLineageGapChange,
+  isPlaying,
+  playingIndex,
+  onPlay,
+  onStop,
+  onSelectAncestor,
+  onFocus,
+  onCollapse,
+  onClose
+}) => (
+  <div className="bg-gray-900/95 backdrop-blur text-white rounded shadow-lg w-72 flex flex-col max-h-[60vh]">
+    <div className="flex items-center border-b border-gray-800 p-2">
+      <span className="flex-1 px-1 text-sm font-medium">
+        Lineage ({lineage.length} {lineage.length === 1 ? 'ancestor' : 'ancestors'})
+      </span>
+      <button
+        onClick={onFocus}
+        className="p-1 rounded-sm hover:bg-gray-800 text-gray-400 hover:text-white"
+        title="Focus on this subtree"
+      >
+        <Crosshair size={14} />
+      </button>
+      {onCollapse && (
+        <button
+          onClick={onCollapse}
+          className="p-1 rounded-sm hover:bg-gray-800 text-gray-400 hover:text-white"
+          title="Collapse this subtree"
+        >
+          <FoldVertical size={14} />
+        </button>
+      )}
+      <button
+        onClick={onClose}
+        className="p-1 rounded-sm hover:bg-gray-800 text-gray-400 hover:text-white"
+      >
+        <X size={14} />
+      </button>
+    </div>
+
+    <div className="p-2 space-y-2 border-b border-gray-800">
+      <label className="flex items-center gap-2 text-xs cursor-pointer">
+        <input
+          type="checkbox"
+          checked={includeDescendants}
+          onChange={(e) => onIncludeDescendantsChange(e.target.checked)}
+          className="rounded bg-gray-800 border-gray-700"
+        />
+        Highlight descendants
+      </label>
+
+      <div className="space-y-1">
+        <div className="flex justify-between text-xs">
+          <span className="text-gray-300">{lineageGap < 0 ? 'Crossfade' : 'Gap'}</span>
+          <span className="text-gray-400">{Math.abs(lineageGap)} ms</span>
+        </div>
+        <input
+          type="range"
+          min="-1000"
+          max="2000"
+          step="50"
+          value={lineageGap}
+          onChange={(e) => onLineageGapChange(Number(e.target.value))}
+          className="w-full h-1.5"
+        />
+      </div>
+
+      <button
+        onClick={isPlaying ? onStop : onPlay}
+        className={`w-full px-3 py-1.5 rounded-sm flex items-center justify-center gap-1 text-xs text-white
+          ${isPlaying ? 'bg-red-600' : 'bg-green-600'}`}
+      >
+        {isPlaying ? <Square size={12} /> : <Play size={12} />}
+        {isPlaying ? 'Stop' : 'Play lineage'}
+      </button>
+    </div>
+
+    <div className="overflow-y-auto p-2 space-y-1">
+      {lineage.map((d, i) => (
+        <button
+          key={d.data.id}
+          onClick={() => onSelectAncestor(d)}
+          className={`w-full text-left p-1 rounded text-xs flex items-center gap-2
+            ${i === playingIndex ? 'bg-blue-900/50' : 'bg-gray-800/50 hover:bg-gray-700'}`}
+        >
+          <span className="flex-1 truncate">{d.data.name}</span>
+          <span className="text-gray-400">s {d.data.s?.toFixed(3) ?? 'N/A'}</span>
+          <span className="text-gray-400 w-14 text-right">gN {d.data.gN}</span>
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+export default LineagePanel;
@@ -0,0 +1,255 @@
+import { useState } from 'react';
+import { X, FileJson, FolderOpen } from 'lucide-react';
+import { buildSimplifiedTree, validateLineageData } from './phylogenetic-tree-common';
+import { parseTreeFile, isTreeFile, TREE_FILE_EXTENSIONS } from './tree-import';
+
+// Index sound files both by file name and by genome id (the part before the first dash),
+// so nodes can be resolved even if the duration/noteDelta/velocity suffix differs
+const indexSoundFiles = (files) => {
+  const soundUrls = new Map();
+  files
+    .filter(file => file.name.toLowerCase().endsWith('.wav'))
+    .forEach(file => {
+      const url = URL.createObjectURL(file);
+      soundUrls.set(file.name, url);
+      const genomeId = file.name.split('-')[0];
+      if (!soundUrls.has(genomeId)) {
+        soundUrls.set(genomeId, url);
+      }
+    });
+  return soundUrls;
+};
+
+const Checkbox = ({ label, checked, onChange }) => (
+  <label className="flex items-center gap-2 text-sm cursor-pointer">
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={(e) => onChange(e.target.checked)}
+      className="rounded bg-gray-800 border-gray-700"
+    />
+    {label}
+  </label>
+);
+
+const LocalRunLoader = ({ onLoad, onClose }) => {
+  const [lineageFile, setLineageFile] = useState(null);
+  const [lineageData, setLineageData] = useState(null);
+  const [importedTree, setImportedTree] = useState(null);  // tree parsed from Newick/PhyloXML, used as is
+  const [soundFiles, setSoundFiles] = useState([]);
+  const [error, setError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  // Options passed on to buildSimplifiedTree
+  const [maxDepth, setMaxDepth] = useState('');
+  const [suffixFilter, setSuffixFilter] = useState('');
+  const [iteration, setIteration] = useState(0);
+  const [inCategoryMusical, setInCategoryMusical] = useState(true);
+  const [inCategoryNonMusical, setInCategoryNonMusical] = useState(false);
+  const [measureContextSwitches, setMeasureContextSwitches] = useState(false);
+  const [includeAllParents, setIncludeAllParents] = useState(false);
+
+  const readLineageFile = async (file) => {
+    try {
+      if (isTreeFile(file.name)) {
+        const tree = parseTreeFile(await file.text(), file.name);
+        setLineageFile(file);
+        setLineageData(null);
+        setImportedTree(tree);
+        setError(null);
+        return;
+      }
+      const data = JSON.parse(await file.text());
+      if (!data.evoRuns?.[0]?.iterations) {
+        throw new Error('Not an evoRun lineage file (missing evoRuns[0].iterations)');
+      }
+      setLineageFile(file);
+      setLineageData(data);
+      setImportedTree(null);
+      setIteration(0);
+      setError(null);
+    } catch (err) {
+      console.error('Error reading lineage file:', err);
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  // Only a top-level file can be the lineage or tree file: files from the sounds folder have a relative path,
+  // and JSON or XML next to the WAVs is other run data
+  const handleFiles = (fileList) => {
+    const files = Array.from(fileList);
+    const jsonFile = files.find(file => !file.webkitRelativePath &&
+      (file.name.toLowerCase().endsWith('.json') || isTreeFile(file.name)));
+    if (jsonFile) {
+      readLineageFile(jsonFile);
+    }
+    const wavFiles = files.filter(file => file.name.toLowerCase().endsWith('.wav'));
+    if (wavFiles.length > 0) {
+      setSoundFiles(wavFiles);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  const handleBuildTree = () => {
+    if (importedTree) {
+      const name = lineageFile.name.replace(/\.[^.]+$/, '');
+      onLoad({
+        name,
+        evoRunId: name,
+        treeData: importedTree,
+        lineageData: null,
+        iteration: 0,
+        validationFindings: [],
+        soundUrls: indexSoundFiles(soundFiles)
+      });
+      return;
+    }
+    if (!lineageData) return;
+    try {
+      const treeData = buildSimplifiedTree(
+        lineageData,
+        maxDepth ? Number(maxDepth) : Infinity,
+        measureContextSwitches,
+        suffixFilter || null,
+        iteration,
+        inCategoryMusical,
+        inCategoryNonMusical,
+        includeAllParents
+      );
+      const evoRun = lineageData.evoRuns[0];
+      onLoad({
+        name: lineageFile.name.replace(/\.json$/i, ''),
+        evoRunId: evoRun.label || lineageFile.name,
+        treeData,
+        lineageData,
+        iteration,
+        validationFindings: validateLineageData(lineageData, iteration),
+        soundUrls: indexSoundFiles(soundFiles)
+      });
+    } catch (err) {
+      console.error('Error building tree:', err);
+      setError(`Could not build tree: ${err.message}`);
+    }
+  };
+
+  const iterationCount = lineageData?.evoRuns[0].iterations.length || 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm">
+      <div className="bg-gray-900/95 border border-gray-800 rounded-lg shadow-xl w-96 text-white">
+        <div className="flex items-center border-b border-gray-800 p-2">
+          <span className="flex-1 px-2 text-sm font-medium">Open Local Run</span>
+          <button
+            onClick={onClose}
+            className="p-1.5 rounded-sm hover:bg-gray-800 text-gray-400 hover:text-white"
+          >
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <div
+            onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+            className={`p-4 rounded border border-dashed text-center text-sm text-gray-400
+              ${isDragging ? 'border-blue-500 bg-blue-900/20' : 'border-gray-700'}`}
+          >
+            Drop an evoRun lineage JSON (or a Newick/PhyloXML tree) and its WAV files here
+          </div>
+
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 px-3 py-1.5 rounded bg-gray-800 hover:bg-gray-700 text-sm cursor-pointer">
+              <FileJson size={14} />
+              <span className="flex-1 truncate">{lineageFile ? lineageFile.name : 'Choose lineage JSON or tree file...'}</span>
+              <input
+                type="file"
+                accept={['.json', 'application/json', ...TREE_FILE_EXTENSIONS].join(',')}
+                className="hidden"
+                onChange={(e) => e.target.files[0] && readLineageFile(e.target.files[0])}
+              />
+            </label>
+            <label className="flex items-center gap-2 px-3 py-1.5 rounded bg-gray-800 hover:bg-gray-700 text-sm cursor-pointer">
+              <FolderOpen size={14} />
+              <span className="flex-1 truncate">
+                {soundFiles.length > 0 ? `${soundFiles.length} WAV files` : 'Choose sounds folder...'}
+              </span>
+              <input
+                type="file"
+                webkitdirectory=""
+                multiple
+                className="hidden"
+                onChange={(e) => handleFiles(e.target.files)}
+              />
+            </label>
+          </div>
+
+          {lineageData && (
+            <div className="space-y-3">
+              {iterationCount > 1 && (
+                <div className="space-y-1">
+                  <label className="text-sm font-medium">Iteration</label>
+                  <select
+                    value={iteration}
+                    onChange={(e) => setIteration(Number(e.target.value))}
+                    className="w-full bg-gray-800 text-white p-1.5 rounded border border-gray-700 text-sm"
+                  >
+                    {Array.from({ length: iterationCount }, (_, i) => (
+                      <option key={i} value={i}>Iteration {i + 1}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="flex gap-2">
+                <div className="flex-1 space-y-1">
+                  <label className="text-sm font-medium">Max depth</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={maxDepth}
+                    onChange={(e) => setMaxDepth(e.target.value)}
+                    placeholder="∞"
+                    className="w-full px-2 py-1 text-sm bg-gray-800 rounded border border-gray-700"
+                  />
+                </div>
+                <div className="flex-1 space-y-1">
+                  <label className="text-sm font-medium">Class suffix</label>
+                  <input
+                    type="text"
+                    value={suffixFilter}
+                    onChange={(e) => setSuffixFilter(e.target.value)}
+                    placeholder="e.g. _5dur"
+                    className="w-full px-2 py-1 text-sm bg-gray-800 rounded border border-gray-700"
+                  />
+                </div>
+              </div>
+
+              <Checkbox label="Musical classes" checked={inCategoryMusical} onChange={setInCategoryMusical} />
+              <Checkbox label="Non-musical classes" checked={inCategoryNonMusical} onChange={setInCategoryNonMusical} />
+              <Checkbox label="Prune to context switches" checked={measureContextSwitches} onChange={setMeasureContextSwitches} />
+              <Checkbox label="Include all crossover parents" checked={includeAllParents} onChange={setIncludeAllParents} />
+            </div>
+          )}
+
+          {error && <div className="text-xs text-red-400">{error}</div>}
+
+          <button
+            onClick={handleBuildTree}
+            disabled={!lineageData && !importedTree}
+            className="w-full px-3 py-1.5 bg-blue-600 disabled:bg-gray-700 disabled:text-gray-400 text-white rounded-sm text-sm"
+          >
+            {importedTree ? 'Open Tree' : 'Build Tree'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LocalRunLoader;
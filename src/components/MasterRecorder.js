@@ -0,0 +1,122 @@
+const CHUNK_FRAMES = 4096;
+
+// Runs on the audio thread: forwards the stereo input in chunks, silence included so the timeline stays continuous
+const WORKLET_SOURCE = `
+class MasterCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.chunk = [new Float32Array(${CHUNK_FRAMES}), new Float32Array(${CHUNK_FRAMES})];
+    this.filled = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    const frames = input[0] ? input[0].length : 128;
+    for (let channel = 0; channel < 2; channel++) {
+      const samples = input[channel] || input[0];
+      if (samples) this.chunk[channel].set(samples, this.filled);
+      else this.chunk[channel].fill(0, this.filled, this.filled + frames);
+    }
+    this.filled += frames;
+    if (this.filled >= ${CHUNK_FRAMES}) {
+      this.port.postMessage(this.chunk, this.chunk.map(samples => samples.buffer));
+      this.chunk = [new Float32Array(${CHUNK_FRAMES}), new Float32Array(${CHUNK_FRAMES})];
+      this.filled = 0;
+    }
+    return true;
+  }
+}
+registerProcessor('master-capture', MasterCaptureProcessor);
+`;
+
+// Captures what goes to the speakers. The last retroactiveSeconds are always kept in a ring buffer, so a
+// sound that already happened can still be saved; start() and stop() record a take of any length.
+class MasterRecorder {
+  constructor(context, { retroactiveSeconds = 60 } = {}) {
+    this.context = context;
+    this.node = null;
+    const length = Math.ceil(retroactiveSeconds * context.sampleRate);
+    this.history = [new Float32Array(length), new Float32Array(length)];
+    this.historyEnd = 0;     // Where the next chunk is written
+    this.historyFilled = 0;  // Frames written so far, up to the length of the history
+    this.take = null;        // Chunks of the take being recorded
+  }
+
+  async connect(source) {
+    const url = URL.createObjectURL(new Blob([WORKLET_SOURCE], { type: 'application/javascript' }));
+    try {
+      await this.context.audioWorklet.addModule(url);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+    this.node = new AudioWorkletNode(this.context, 'master-capture', {
+      channelCount: 2,
+      channelCountMode: 'explicit'
+    });
+    this.node.port.onmessage = (event) => this.receive(event.data);
+    source.connect(this.node);
+    // The node outputs silence; it's connected so the context keeps processing it
+    this.node.connect(this.context.destination);
+  }
+
+  receive(chunk) {
+    const length = this.history[0].length;
+    for (let channel = 0; channel < 2; channel++) {
+      const firstPart = Math.min(chunk[channel].length, length - this.historyEnd);
+      this.history[channel].set(chunk[channel].subarray(0, firstPart), this.historyEnd);
+      this.history[channel].set(chunk[channel].subarray(firstPart), 0);
+    }
+    this.historyEnd = (this.historyEnd + chunk[0].length) % length;
+    this.historyFilled = Math.min(length, this.historyFilled + chunk[0].length);
+    this.take?.push(chunk);
+  }
+
+  get isRecording() {
+    return this.take !== null;
+  }
+
+  start() {
+    this.take = [];
+  }
+
+  // Ends the take and returns it as an AudioBuffer
+  stop() {
+    const chunks = this.take || [];
+    this.take = null;
+    const buffer = this.createBuffer(chunks.reduce((frames, chunk) => frames + chunk[0].length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+      buffer.copyToChannel(chunk[0], 0, offset);
+      buffer.copyToChannel(chunk[1], 1, offset);
+      offset += chunk[0].length;
+    });
+    return buffer;
+  }
+
+  // The last `seconds` of the output (at most retroactiveSeconds) as an AudioBuffer
+  retroactive(seconds = Infinity) {
+    const length = this.history[0].length;
+    const frames = Math.min(this.historyFilled, Math.ceil(seconds * this.context.sampleRate));
+    const buffer = this.createBuffer(frames);
+    const start = (this.historyEnd - frames + length) % length;
+    for (let channel = 0; channel < 2; channel++) {
+      const firstPart = Math.min(frames, length - start);
+      buffer.copyToChannel(this.history[channel].subarray(start, start + firstPart), channel, 0);
+      if (frames > firstPart) {
+        buffer.copyToChannel(this.history[channel].subarray(0, frames - firstPart), channel, firstPart);
+      }
+    }
+    return buffer;
+  }
+
+  createBuffer(frames) {
+    return new AudioBuffer({ numberOfChannels: 2, length: Math.max(frames, 1), sampleRate: this.context.sampleRate });
+  }
+
+  disconnect() {
+    this.node?.disconnect();
+    this.node = null;
+  }
+}
+
+export default MasterRecorder;
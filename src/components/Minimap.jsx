@@ -0,0 +1,123 @@
+import { useEffect, useRef, useCallback, forwardRef, useImperativeHandle } from 'react';
+
+const MAX_WIDTH = 180;
+const MAX_HEIGHT = 140;
+
+// Overview of a zoomable view: the whole content, a viewport rectangle that can be dragged and click-to-jump.
+// Content coordinates are the ones the view's d3.zoom transform applies to; bounds is [[x0, y0], [x1, y1]] in them.
+// drawContent(ctx, scale) and drawHighlights(ctx, scale) draw in content coordinates, scale being content to minimap pixels.
+// The view keeps the viewport in sync through the ref: setView(transform, width, height) and redrawHighlights().
+const Minimap = forwardRef(({ bounds, drawContent, drawHighlights, onNavigate }, ref) => {
+  const baseRef = useRef(null);
+  const overlayRef = useRef(null);
+  const viewRef = useRef(null);  // { transform, width, height } of the view
+  const dragOffsetRef = useRef(null);
+  const drawHighlightsRef = useRef(drawHighlights);
+  drawHighlightsRef.current = drawHighlights;
+
+  const [[x0, y0], [x1, y1]] = bounds;
+  const scale = Math.min(MAX_WIDTH / Math.max(x1 - x0, 1), MAX_HEIGHT / Math.max(y1 - y0, 1));
+  const width = Math.max(1, Math.round((x1 - x0) * scale));
+  const height = Math.max(1, Math.round((y1 - y0) * scale));
+  const dpr = window.devicePixelRatio || 1;
+
+  // Context drawing in content coordinates
+  const contentContext = useCallback((canvas) => {
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(dpr * scale, 0, 0, dpr * scale, -x0 * scale * dpr, -y0 * scale * dpr);
+    return ctx;
+  }, [dpr, scale, x0, y0]);
+
+  // Visible part of the content, from the inverse of the view transform
+  const viewportRect = useCallback(() => {
+    if (!viewRef.current) return null;
+    const { transform, width: viewWidth, height: viewHeight } = viewRef.current;
+    const [left, top] = transform.invert([0, 0]);
+    const [right, bottom] = transform.invert([viewWidth, viewHeight]);
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  }, []);
+
+  const drawOverlay = useCallback(() => {
+    if (!overlayRef.current) return;
+    const ctx = contentContext(overlayRef.current);
+    drawHighlightsRef.current?.(ctx, scale);
+
+    const rect = viewportRect();
+    if (rect) {
+      ctx.fillStyle = 'rgba(59, 130, 246, 0.15)';
+      ctx.strokeStyle = '#3b82f6';
+      ctx.lineWidth = 1.5 / scale;
+      ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+      ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    }
+  }, [contentContext, scale, viewportRect]);
+
+  // Resizing the canvases clears them, so this also runs when the size changes
+  useEffect(() => {
+    if (!baseRef.current) return;
+    drawContent(contentContext(baseRef.current), scale);
+    drawOverlay();
+  }, [drawContent, contentContext, scale, drawOverlay, width, height]);
+
+  useImperativeHandle(ref, () => ({
+    setView: (transform, viewWidth, viewHeight) => {
+      viewRef.current = { transform, width: viewWidth, height: viewHeight };
+      drawOverlay();
+    },
+    redrawHighlights: drawOverlay
+  }), [drawOverlay]);
+
+  const contentPoint = (event) => {
+    const box = overlayRef.current.getBoundingClientRect();
+    return [x0 + (event.clientX - box.left) / scale, y0 + (event.clientY - box.top) / scale];
+  };
+
+  // Dragging inside the viewport keeps the grab point under the pointer; anywhere else jumps there first
+  const handlePointerDown = (event) => {
+    const [x, y] = contentPoint(event);
+    const rect = viewportRect();
+    if (rect && x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height) {
+      dragOffsetRef.current = [rect.x + rect.width / 2 - x, rect.y + rect.height / 2 - y];
+    } else {
+      dragOffsetRef.current = [0, 0];
+      onNavigate(x, y);
+    }
+    event.currentTarget.setPointerCapture(event.pointerId);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragOffsetRef.current) return;
+    const [x, y] = contentPoint(event);
+    onNavigate(x + dragOffsetRef.current[0], y + dragOffsetRef.current[1]);
+  };
+
+  const handlePointerUp = (event) => {
+    dragOffsetRef.current = null;
+    event.currentTarget.releasePointerCapture(event.pointerId);
+  };
+
+  const canvasStyle = { width, height };
+  return (
+    <div className="bg-gray-900/95 backdrop-blur rounded shadow-lg p-1">
+      <div className="relative" style={canvasStyle}>
+        <canvas ref={baseRef} width={width * dpr} height={height * dpr} className="absolute inset-0" style={canvasStyle} />
+        <canvas
+          ref={overlayRef}
+          width={width * dpr}
+          height={height * dpr}
+          className="absolute inset-0 cursor-pointer"
+          style={canvasStyle}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+        />
+      </div>
+    </div>
+  );
+});
+
+Minimap.displayName = 'Minimap';
+
+export default Minimap;
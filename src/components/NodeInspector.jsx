@@ -0,0 +1,270 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import * as d3 from 'd3';
+import { X, Play, Square, Repeat, Download, Send } from 'lucide-react';
+import { waveformPeaks, spectrogram } from './audio-analysis';
+import { useAudioManager } from './useAudioManager';
+
+const WIDTH = 256;
+const WAVEFORM_HEIGHT = 56;
+const SPECTROGRAM_HEIGHT = 72;
+const SPECTROGRAM_RANGE_DB = 80;
+
+// Metadata, waveform and spectrogram of one sound, with its own looping and scrubbing playback.
+// metadata is a list of [label, value] rows; the sound comes from the shared sample cache and plays
+// through audioContext into destination (the context's output by default).
+const NodeInspector = ({ title, metadata, audioUrl, audioContext, destination, units = [], onSendToUnit, onDownload, onClose }) => {
+  const [buffer, setBuffer] = useState(null);
+  const [error, setError] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [loop, setLoop] = useState(false);
+  const [position, setPosition] = useState(0);  // Seconds
+  const [targetUnitId, setTargetUnitId] = useState(units[0]?.id ?? null);
+  const waveformRef = useRef(null);
+  const spectrogramRef = useRef(null);
+  const playbackRef = useRef(null);  // { source, startedAt, offset }
+  const frameRef = useRef(null);
+  const scrubbingRef = useRef(false);
+  const { manager: audioManager } = useAudioManager();
+
+  const stop = useCallback(() => {
+    cancelAnimationFrame(frameRef.current);
+    const playback = playbackRef.current;
+    playbackRef.current = null;
+    if (playback) {
+      playback.source.onended = null;
+      playback.source.stop();
+    }
+    setIsPlaying(false);
+  }, []);
+
+  // Load the sound whenever another node is inspected
+  useEffect(() => {
+    if (!audioUrl || !audioContext) return;
+    let cancelled = false;
+    setBuffer(null);
+    setError(null);
+    setPosition(0);
+
+    const load = async () => {
+      try {
+        const decoded = await audioManager.loadSample(audioUrl);
+        if (!cancelled) setBuffer(decoded);
+      } catch (err) {
+        console.error('Error loading sound for the inspector:', err);
+        if (!cancelled) setError('Could not load the sound');
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+      stop();
+    };
+  }, [audioUrl, audioContext, audioManager, stop]);
+
+  useEffect(() => {
+    if (targetUnitId === null || !units.some(unit => unit.id === targetUnitId)) {
+      setTargetUnitId(units[0]?.id ?? null);
+    }
+  }, [units, targetUnitId]);
+
+  const peaks = useMemo(() => buffer && waveformPeaks(buffer.getChannelData(0), WIDTH), [buffer]);
+  const spectrum = useMemo(() => buffer && spectrogram(buffer.getChannelData(0), { frames: WIDTH }), [buffer]);
+
+  useEffect(() => {
+    const canvas = waveformRef.current;
+    if (!canvas || !peaks) return;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#60a5fa';
+    const middle = canvas.height / 2;
+    for (let x = 0; x < WIDTH; x++) {
+      const top = middle - peaks[x * 2 + 1] * middle;
+      const bottom = middle - peaks[x * 2] * middle;
+      ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+    }
+  }, [peaks]);
+
+  // One column per frame, low frequencies at the bottom
+  useEffect(() => {
+    const canvas = spectrogramRef.current;
+    if (!canvas || !spectrum) return;
+    const bins = spectrum.frames[0].length;
+    const image = new ImageData(WIDTH, bins);
+    spectrum.frames.forEach((magnitudes, x) => {
+      magnitudes.forEach((db, bin) => {
+        const t = Math.max(0, 1 - (spectrum.maxDb - db) / SPECTROGRAM_RANGE_DB);
+        const { r, g, b } = d3.rgb(d3.interpolateMagma(t));
+        const i = ((bins - 1 - bin) * WIDTH + x) * 4;
+        image.data[i] = r;
+        image.data[i + 1] = g;
+        image.data[i + 2] = b;
+        image.data[i + 3] = 255;
+      });
+    });
+
+    const offscreen = document.createElement('canvas');
+    offscreen.width = WIDTH;
+    offscreen.height = bins;
+    offscreen.getContext('2d').putImageData(image, 0, 0);
+    canvas.getContext('2d').drawImage(offscreen, 0, 0, canvas.width, canvas.height);
+  }, [spectrum]);
+
+  const play = useCallback((offset) => {
+    if (!buffer || !audioContext) return;
+    stop();
+    const source = audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.loop = loop;
+    source.connect(destination || audioContext.destination);
+    source.start(0, offset);
+    source.onended = () => {
+      playbackRef.current = null;
+      cancelAnimationFrame(frameRef.current);
+      setIsPlaying(false);
+      setPosition(0);
+    };
+    playbackRef.current = { source, startedAt: audioContext.currentTime, offset };
+    setIsPlaying(true);
+
+    const tick = () => {
+      const playback = playbackRef.current;
+      if (!playback) return;
+      const elapsed = playback.offset + audioContext.currentTime - playback.startedAt;
+      setPosition(playback.source.loop ? elapsed % buffer.duration : Math.min(elapsed, buffer.duration));
+      frameRef.current = requestAnimationFrame(tick);
+    };
+    frameRef.current = requestAnimationFrame(tick);
+  }, [buffer, audioContext, destination, loop, stop]);
+
+  // Toggling the loop applies to the running source; its position is kept by rebasing the offset
+  const toggleLoop = () => {
+    const playback = playbackRef.current;
+    if (playback) {
+      playback.offset = position;
+      playback.startedAt = audioContext.currentTime;
+      playback.source.loop = !loop;
+    }
+    setLoop(!loop);
+  };
+
+  // Clicking or dragging over the waveform or spectrogram moves the playhead, restarting playback from there
+  const seek = (event) => {
+    if (!buffer) return;
+    const box = event.currentTarget.getBoundingClientRect();
+    const offset = Math.max(0, Math.min(1, (event.clientX - box.left) / box.width)) * buffer.duration;
+    setPosition(offset);
+    if (playbackRef.current) play(offset);
+  };
+
+  const scrubHandlers = {
+    onPointerDown: (event) => {
+      scrubbingRef.current = true;
+      event.currentTarget.setPointerCapture(event.pointerId);
+      seek(event);
+    },
+    onPointerMove: (event) => {
+      if (scrubbingRef.current) seek(event);
+    },
+    onPointerUp: (event) => {
+      scrubbingRef.current = false;
+      event.currentTarget.releasePointerCapture(event.pointerId);
+    }
+  };
+
+  const playheadLeft = buffer ? `${(position / buffer.duration) * 100}%` : 0;
+
+  return (
+    <div className="bg-gray-900/95 backdrop-blur text-white rounded shadow-lg w-72 flex flex-col max-h-[70vh]">
+      <div className="flex items-center border-b border-gray-800 p-2">
+        <span className="flex-1 px-1 text-sm font-medium truncate" title={title}>{title}</span>
+        <button
+          onClick={onClose}
+          className="p-1 rounded-sm hover:bg-gray-800 text-gray-400 hover:text-white"
+        >
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="overflow-y-auto p-2 space-y-2">
+        <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-0.5 text-xs">
+          {metadata.map(([label, value]) => (
+            <div key={label} className="contents">
+              <dt className="text-gray-400">{label}</dt>
+              <dd className="truncate" title={String(value)}>{value}</dd>
+            </div>
+          ))}
+        </dl>
+
+        {error && <div className="text-xs text-red-400">{error}</div>}
+        {!error && !buffer && <div className="text-xs text-gray-400">Loading sound…</div>}
+
+        {buffer && (
+          <>
+            <div className="relative cursor-pointer select-none touch-none" {...scrubHandlers}>
+              <canvas ref={waveformRef} width={WIDTH} height={WAVEFORM_HEIGHT} className="w-full bg-gray-950 rounded-t" />
+              <canvas ref={spectrogramRef} width={WIDTH} height={SPECTROGRAM_HEIGHT} className="w-full block rounded-b" />
+              <div className="absolute top-0 bottom-0 w-px bg-white pointer-events-none" style={{ left: playheadLeft }} />
+            </div>
+
+            <div className="flex items-center gap-1 text-xs">
+              <button
+                onClick={() => isPlaying ? stop() : play(position)}
+                className={`px-2 py-1 rounded-sm flex items-center gap-1 text-white ${isPlaying ? 'bg-red-600' : 'bg-green-600'}`}
+              >
+                {isPlaying ? <Square size={12} /> : <Play size={12} />}
+                {isPlaying ? 'Stop' : 'Play'}
+              </button>
+              <button
+                onClick={toggleLoop}
+                className={`p-1 rounded-sm hover:bg-gray-800 ${loop ? 'text-blue-400' : 'text-gray-400'}`}
+                title="Loop"
+              >
+                <Repeat size={14} />
+              </button>
+              <span className="flex-1 text-right text-gray-400">
+                {position.toFixed(2)} / {buffer.duration.toFixed(2)} s
+              </span>
+            </div>
+          </>
+        )}
+
+        <div className="flex items-center gap-1 text-xs">
+          <button
+            onClick={onDownload}
+            className="px-2 py-1 rounded-sm bg-gray-800 hover:bg-gray-700 flex items-center gap-1"
+          >
+            <Download size={12} />
+            Download
+          </button>
+          {onSendToUnit && (
+            <>
+              <select
+                value={targetUnitId ?? ''}
+                onChange={(e) => setTargetUnitId(Number(e.target.value))}
+                disabled={units.length === 0}
+                className="flex-1 min-w-0 px-1 py-1 bg-gray-800 rounded-sm"
+              >
+                {units.length === 0 && <option value="">No units</option>}
+                {units.map(unit => (
+                  <option key={unit.id} value={unit.id}>Unit {unit.id} ({unit.type})</option>
+                ))}
+              </select>
+              <button
+                onClick={() => onSendToUnit(targetUnitId)}
+                disabled={targetUnitId === null}
+                className="px-2 py-1 rounded-sm bg-blue-600 hover:bg-blue-500 disabled:opacity-50 flex items-center gap-1"
+                title="Use this sound as the unit's sample"
+              >
+                <Send size={12} />
+                Send
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NodeInspector;
@@ -1,449 +1,499 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
-import { Search, Settings, Download } from 'lucide-react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Search, Settings } from 'lucide-react';
 import * as d3 from 'd3';
-import {el} from '@elemaudio/core';
-import WebRenderer from '@elemaudio/web-renderer';
-import { pruneTreeForContextSwitches } from './phylogenetic-tree-common';
+import { pruneTreeForContextSwitches, validateTree, downloadFile, downloadUrl } from './phylogenetic-tree-common';
+import { toNewick, toPhyloXML } from './tree-export';
 import { LINEAGE_SOUNDS_BUCKET_HOST } from '../constants';
-import AudioManager from './AudioManager';
+import { useAudioManager } from './useAudioManager';
+import TreeStatisticsPanel from './TreeStatisticsPanel';
+import ValidationReportPanel from './ValidationReportPanel';
+import ClassPartitionEditor from './ClassPartitionEditor';
+import LineagePanel from './LineagePanel';
+import TreeDiffPanel from './TreeDiffPanel';
+import { mergeTrees } from './tree-diff';
+import { TREE_LAYOUTS, applyTreeLayout, secondaryParentLinks, isPartitionLayout } from './tree-layouts';
+import { drawTreeSvg, NODE_RADIUS, nodeRadius, FOCUS_RING_COLOR, FOCUS_RING_GAP } from './tree-svg-renderer';
+import CanvasTreeRenderer from './tree-canvas-renderer';
+import { NODE_ENCODINGS, SIZE_ENCODINGS, createColorEncoding, createSizeEncoding } from './tree-encodings';
+import EncodingLegend from './EncodingLegend';
+import FocusBreadcrumbs from './FocusBreadcrumbs';
+import TreeSearchPanel from './TreeSearchPanel';
+import Minimap from './Minimap';
+import NodeInspector from './NodeInspector';
+import { createSearchMatcher } from './tree-search';
+import { collapseTree, findPath, idsAtDepth } from './tree-collapse';
+import { LABEL_MODES, labelCandidates, placeLabels, measureLabel } from './tree-labels';
+import { renderFigure, canvasToPng, canvasToPdf } from './figure-export';
+import ExportMenu from './ExportMenu';
+import GrowthTimeline from './GrowthTimeline';
+import { DEFAULT_CLASS_PARTITIONS, getClassPartition } from './class-partitions';
+import { usePersistentState } from './usePersistentState';
+import { SPATIAL_MODES, screenPosition } from './spatial';
+
+// In 'auto' renderer mode, trees larger than this are drawn on a canvas instead of as SVG elements
+const CANVAS_NODE_THRESHOLD = 2000;
+// Most sounds started for the nodes appearing in one step of the growth animation
+const MAX_GROWTH_SOUNDS_PER_STEP = 3;
+const AUDIO_CHANNEL = 'tree';
 
 const PhylogeneticViewer = ({ 
   treeData, 
   experiment, 
   evoRunId, 
+  soundUrls,
+  validationFindings,
+  compareTreeData,
+  compareExperiment,
+  compareEvoRunId,
+  compareLabels,
   showSettings, 
   setShowSettings,
   hasAudioInteraction,
-  onAudioInteraction 
+  onAudioInteraction,
+  units,
+  onSendSoundToUnit
 }) => {
   // State declarations
   const [theme, setTheme] = useState('dark');
-  const [measureContextSwitches, setMeasureContextSwitches] = useState(false);
-  const [reverbAmount, setReverbAmount] = useState(5);
+  // 'off', 'musical' (musical vs non-musical) or 'partitions' (user-defined class groups)
+  const [contextSwitchMode, setContextSwitchMode] = usePersistentState('contextSwitchMode', 'off');
+  const [classPartitions, setClassPartitions] = usePersistentState('classPartitions', DEFAULT_CLASS_PARTITIONS);
   const [tooltip, setTooltip] = useState({ show: false, content: '', x: 0, y: 0 });
-  const [maxVoices, setMaxVoices] = useState(4);
   const [silentMode, setSilentMode] = useState(false);
+  const [showSecondaryParents, setShowSecondaryParents] = useState(true);
+  const [layout, setLayout] = usePersistentState('treeLayout', 'radial');
+  const [rendererMode, setRendererMode] = usePersistentState('treeRenderer', 'auto');  // 'auto', 'svg' or 'canvas'
+  const [colorBy, setColorBy] = usePersistentState('nodeColorBy', 'score');  // key of NODE_ENCODINGS
+  const [sizeBy, setSizeBy] = usePersistentState('nodeSizeBy', 'none');
+  const [showMinimap, setShowMinimap] = usePersistentState('showMinimap', true);
+  const [labelMode, setLabelMode] = usePersistentState('nodeLabels', 'none');  // key of LABEL_MODES
+  const [encodingLegend, setEncodingLegend] = useState(null);
+  const [collapsedIds, setCollapsedIds] = useState(new Set());
+  const [collapseDepth, setCollapseDepth] = useState(3);
+  const [focusNodeId, setFocusNodeId] = useState(null);  // Root of the displayed subtree in focus mode
+  const [renderedRoot, setRenderedRoot] = useState(null);  // d3 hierarchy of the currently drawn tree
+  const [selectedNodeId, setSelectedNodeId] = useState(null);
+  const [includeDescendants, setIncludeDescendants] = useState(false);
+  const [lineageGap, setLineageGap] = useState(250);  // ms between ancestors; negative values crossfade
+  const [playingLineageIndex, setPlayingLineageIndex] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchMatchIndex, setSearchMatchIndex] = useState(null);  // Match last stepped to
+  const [playingMatchIndex, setPlayingMatchIndex] = useState(null);
+  const [growthGeneration, setGrowthGeneration] = useState(null);  // Nodes born later are hidden; null shows the whole tree
+  const [isGrowing, setIsGrowing] = useState(false);
+  const [growthDuration, setGrowthDuration] = usePersistentState('growthDuration', 30);
+  const [sonifyGrowth, setSonifyGrowth] = usePersistentState('sonifyGrowth', true);
+  const [keyboardNodeId, setKeyboardNodeId] = useState(null);  // Node with keyboard focus
+  const [announcement, setAnnouncement] = useState('');  // Read out by screen readers
+  const [showInspector, setShowInspector] = useState(true);
 
   // Refs
-  const searchTermRef = useRef('');  // Search ref instead of state
   const containerRef = useRef(null);
   const svgRef = useRef(null);
+  const labelCandidatesRef = useRef([]);  // Nodes that may be labelled, in placement order
   const gRef = useRef(null);
   const nodesRef = useRef(null);
   const linksRef = useRef(null);
   const currentZoomTransformRef = useRef(null);
-
-  const rendererRef = useRef(null);
-
-  const [rendererReady, setRendererReady] = useState(false);
-  const contextRef = useRef(null);
-
-  const activeVoicesRef = useRef(new Map()); // Track active voices
-  const triggerSourceRef = useRef(null);
-
-  // Replace audio refs with AudioManager
-  const audioManagerRef = useRef(null);
-  const currentlyPlayingNodeRef = useRef(null);
+  const zoomRef = useRef(null);
+  const highlightedNodeIdRef = useRef(null);
+  const sequencePlaybackRef = useRef({ id: 0, kind: null });  // id is incremented to cancel a running lineage or match playback
+  const growthFrameRef = useRef(null);
+  const canvasRendererRef = useRef(null);  // Set instead of svgRef/gRef when the tree is drawn on a canvas
+  const nodeElementsRef = useRef(new Map());  // SVG node shapes by node id
+  const playingNodeIdsRef = useRef(new Set());
+  const nodeFillRef = useRef(() => '#999');  // Fill of the current colour encoding
+  const minimapRef = useRef(null);
+
+  // Sounds play through the app's shared audio engine, on the tree's own channel
+  const audioEngine = useAudioManager();
+  const audioManager = audioEngine.manager;
+  const { reverbAmount, setReverbAmount, maxVoices, setMaxVoices, spatialMode, setSpatialMode } = audioEngine;
   const treeInitializedRef = useRef(false);  // Add this line
 
-  // Add active nodes tracking
-  const activeNodesRef = useRef(new Set());
-
-  // Constants
-  const FADE_TIME = 0.1;
-  const BASE_VOLUME = 1;
+  // Repaint only the nodes whose playing state changed since the last call
+  const redrawNodes = useCallback(() => {
+    // Cells are played as { i: id, j: id } by this view
+    const playingIds = new Set(audioManager.playingCellsOf(AUDIO_CHANNEL).map(({ i }) => i));
+    const previousIds = playingNodeIdsRef.current;
+    playingNodeIdsRef.current = playingIds;
+    minimapRef.current?.redrawHighlights();
+
+    if (canvasRendererRef.current) {
+      canvasRendererRef.current.setPlaying(playingIds);
+      return;
+    }
+    [...previousIds, ...playingIds]
+      .filter(id => previousIds.has(id) !== playingIds.has(id))
+      .forEach(id => {
+        const node = nodeElementsRef.current.get(id);
+        if (node) {
+          node.setAttribute('fill', playingIds.has(id) ? '#ff0000' : nodeFillRef.current(d3.select(node).datum()));
+        }
+      });
+  }, [audioManager]);
 
-  // Initialize Elementary on component mount
-  useEffect(() => {
-    let mounted = true;
-    let audioCtx = null;
-    
-    const setupAudio = async () => {
-      try {
-        audioCtx = new AudioContext();
-        await audioCtx.resume(); // Make sure context is active first
-  
-        const core = new WebRenderer();
-        console.log('Setting up audio, context state:', audioCtx.state);
-  
-        // Wait a tick to ensure context is fully ready
-        await new Promise(resolve => setTimeout(resolve, 0));
-        
-        const node = await core.initialize(audioCtx, {
-          numberOfInputs: 0,
-          numberOfOutputs: 1,
-          outputChannelCount: [2],
-        });
-  
-        console.log('Core initialized');
-        node.connect(audioCtx.destination);
-        
-        if (!mounted) return;
-  
-        console.log('Elementary Audio engine initialized');
-        rendererRef.current = core;
-        contextRef.current = audioCtx;
-        setRendererReady(true);
-  
-      } catch (err) {
-        console.error('Error initializing Elementary Audio:', err, err.stack);
-      }
-    };
-  
-    setupAudio();
-  
-    return () => {
-      mounted = false;
-      if (audioCtx?.state !== 'closed') {
-        audioCtx.close();
-      }
-    };
+  // Show the current zoom transform as the minimap viewport
+  const syncMinimap = useCallback(() => {
+    const surface = canvasRendererRef.current ? canvasRendererRef.current.canvas : svgRef.current;
+    if (!surface || !currentZoomTransformRef.current) return;
+    minimapRef.current?.setView(currentZoomTransformRef.current, surface.clientWidth, surface.clientHeight);
   }, []);
 
-
-  useEffect(() => {
-    // Only try to load reverb if renderer is ready
-    if (!rendererReady) return;
-
-    const loadReverb = async () => {
-      try {
-        // Load reverb impulse response
-        const response = await fetch('/WIDEHALL-1.wav');
-        const arrayBuffer = await response.arrayBuffer();
-        const audioData = await rendererRef.current.context.decodeAudioData(arrayBuffer);
-
-        // Add to virtual file system
-        await rendererRef.current.updateVirtualFileSystem({
-          'reverb-ir': audioData.getChannelData(0)
-        });
-
-        console.log('Reverb IR loaded');
-      } catch (err) {
-        console.error('Error loading reverb:', err);
-      }
-    };
-
-    loadReverb();
-  }, [rendererReady]); // Use rendererReady instead of rendererRef.current
-
-  // Remove old audio setup code and replace with AudioManager initialization
-  useEffect(() => {
-    if (!audioManagerRef.current) {
-      audioManagerRef.current = new AudioManager();
-      audioManagerRef.current.initialize();
+  // Resolve a node's sound either from locally loaded files or from the sounds bucket
+  const getSoundUrl = useCallback((d) => {
+    const fileName = `${d.data.id}-${d.data.duration}_${d.data.noteDelta}_${d.data.velocity}.wav`;
+    if (soundUrls) {
+      return soundUrls.get(fileName) || soundUrls.get(d.data.id);
     }
-    if (audioManagerRef.current) {
-      audioManagerRef.current.maxVoices = maxVoices;
+    // Nodes only found in the compared tree have their sounds under that run
+    if (d.data.diff === 'b') {
+      return `${LINEAGE_SOUNDS_BUCKET_HOST}/${compareExperiment}/${compareEvoRunId}/${fileName}`;
     }
-  }, [maxVoices]);
-
-  // Update redrawNodes to be more defensive
-  const redrawNodes = useCallback(() => {
-    if (!gRef.current || !audioManagerRef.current) return;
-    
-    const nodes = gRef.current.querySelectorAll('.node-circle');
-    const playingSounds = new Set([...audioManagerRef.current.playingCells.keys()]);
-    
-    nodes.forEach(node => {
-      const d = d3.select(node).datum();
-      const cellKey = `${d.data.id}-${d.data.id}`;
-      const isPlaying = playingSounds.has(cellKey);
-      const color = isPlaying ? '#ff0000' : 
-        (d.data.s ? d3.interpolateViridis(d.data.s) : "#999");
-      node.setAttribute('fill', color);
-    });
+    return `${LINEAGE_SOUNDS_BUCKET_HOST}/${experiment}/${evoRunId}/${fileName}`;
+  }, [experiment, evoRunId, soundUrls, compareExperiment, compareEvoRunId]);
+
+  // Where a node's sound comes from, by the node's place in the current view
+  const nodePosition = useCallback((d) => {
+    const surface = canvasRendererRef.current ? canvasRendererRef.current.canvas : svgRef.current;
+    const transform = currentZoomTransformRef.current;
+    if (!surface || !transform) return undefined;
+    const [x, y] = transform.apply([d.px, d.py]);
+    return screenPosition(x, y, surface.clientWidth, surface.clientHeight);
   }, []);
 
+  const downloadNodeSound = useCallback(async (d) => {
+    const audioUrl = getSoundUrl(d);
+    if (!audioUrl) return;
+    try {
+      await downloadUrl(audioUrl, `${d.data.id}-${d.data.duration}_${d.data.noteDelta}_${d.data.velocity}.wav`, 'audio/wav');
+    } catch (error) {
+      console.error('Error downloading sound:', error);
+    }
+  }, [getSoundUrl]);
+
   // Memoize playAudioWithFade
   const playAudioWithFade = useCallback(async (d) => {
-    if (!hasAudioInteraction || !audioManagerRef.current) return;
+    if (!hasAudioInteraction) return;
 
     try {
-      const fileName = `${d.data.id}-${d.data.duration}_${d.data.noteDelta}_${d.data.velocity}.wav`;
-      const audioUrl = `${LINEAGE_SOUNDS_BUCKET_HOST}/${experiment}/${evoRunId}/${fileName}`;
+      const audioUrl = getSoundUrl(d);
+      if (!audioUrl) return;
       
-      const result = await audioManagerRef.current.playSound(audioUrl, { 
+      // Node colours follow through the AudioManager's playing-cells notifications
+      await audioManager.playSound(audioUrl, { 
         i: d.data.id, 
         j: d.data.id
-      });
-      
-      if (result) {
-        requestAnimationFrame(redrawNodes);
-        const voice = audioManagerRef.current.voices.get(result.voiceId);
-        if (voice?.source) {
-          voice.source.onended = () => requestAnimationFrame(redrawNodes);
-        }
-      }
+      }, { channel: AUDIO_CHANNEL, position: nodePosition(d) });
     } catch (error) {
       console.error('Error playing audio:', error);
-      requestAnimationFrame(redrawNodes);
-    }
-  }, [experiment, evoRunId, hasAudioInteraction, redrawNodes]);
-
-  // Remove stopAudioWithFade with cleanup using AudioManager
-  const stopAudioWithFade = async () => {
-    if (audioManagerRef.current) {
-      audioManagerRef.current.cleanup();
-      currentlyPlayingNodeRef.current = null;
-      requestAnimationFrame(redrawNodes); // Update to use redrawNodes
     }
-  };
+  }, [audioManager, getSoundUrl, nodePosition, hasAudioInteraction]);
 
-  // Add cleanup on unmount
-  useEffect(() => {
-    return () => {
-      if (audioManagerRef.current) {
-        audioManagerRef.current.cleanup();
-      }
-      activeNodesRef.current.clear();
-    };
-  }, []);
-
-  // Update reverb mix when reverbAmount changes
-  useEffect(() => {
-    if (audioManagerRef.current) {
-      audioManagerRef.current.setReverbMix(reverbAmount);
-    }
-  }, [reverbAmount]);
-
-  // Slider handler
-  const handleReverbChange = useCallback((e) => {
-    setReverbAmount(Number(e.target.value));
-  }, []);
-
-  // Memoize heavy functions
-  const updateSearch = useCallback((term) => {
-    if (!gRef.current) return;
-    
-    const searchTerm = term.toLowerCase();
-    requestAnimationFrame(() => {
-      // Direct DOM manipulation instead of going through D3 selection
-      const nodes = gRef.current.querySelectorAll('.node');
-      const links = gRef.current.querySelectorAll('.link');
-
-      nodes.forEach(node => {
-        const d = d3.select(node).datum();
-        const opacity = d.data.name.toLowerCase().includes(searchTerm) ? 1 : 0.1;
-        node.style.opacity = opacity;
-      });
-
-      links.forEach(link => {
-        const d = d3.select(link).datum();
-        const opacity = d.target.data.name.toLowerCase().includes(searchTerm) ? 0.4 : 0.1;
-        link.style.opacity = opacity;
-      });
-    });
-  }, []);
-
-  // Handle search input without state updates
-  const handleSearchInput = useCallback((e) => {
-    searchTermRef.current = e.target.value;
-    updateSearch(e.target.value);
-  }, [updateSearch]);
+  // Stop the tree's sounds when switching to another view
+  useEffect(() => () => audioManager.stopChannel(AUDIO_CHANNEL), [audioManager]);
 
   const handleNodeMouseOver = useCallback(async (event, d) => {
     setTooltip({
       show: true,
-      content: `ID: ${d.data.name || d.data.id}<br/>Score: ${d.data.s ? d.data.s.toFixed(3) : 'N/A'}<br/>Generation: ${d.data.gN || 'N/A'}`,
+      content: `ID: ${d.data.name || d.data.id}<br/>Score: ${d.data.s ? d.data.s.toFixed(3) : 'N/A'}<br/>Generation: ${d.data.gN || 'N/A'}` +
+        (d.data.collapsed ? `<br/>Collapsed: ${d.data.collapsed.count} descendants` : ''),
       x: event.pageX,
       y: event.pageY
     });
   
-    if (hasAudioInteraction && !silentMode && rendererRef.current) {
-      const fileName = `${d.data.id}-${d.data.duration}_${d.data.noteDelta}_${d.data.velocity}.wav`;
-      const audioUrl = `${LINEAGE_SOUNDS_BUCKET_HOST}/${experiment}/${evoRunId}/${fileName}`;
-  
-      try {
-        const response = await fetch(audioUrl);
-        const arrayBuffer = await response.arrayBuffer();
-        const audioData = await rendererRef.current.context.decodeAudioData(arrayBuffer);
-        
-        const vfsKey = `sound-${d.data.id}`;
-        await rendererRef.current.updateVirtualFileSystem({
-          [vfsKey]: audioData.getChannelData(0)
-        });
-  
-        // Create or reuse shared trigger
-        if (!triggerSourceRef.current) {
-          triggerSourceRef.current = el.train(
-            el.const({ key: 'shared-rate', value: 1 / audioData.duration })
-          );
-        }
-  
-        // Create new voice using shared trigger
-        const newVoice = el.mul(
-          el.mul(
-            el.sample(
-              { path: vfsKey, mode: 'trigger', key: `sample-${d.data.id}` }, 
-              triggerSourceRef.current,  // Use shared trigger
-              el.const({ key: `playback-rate-${d.data.id}`, value: 1 })
-            ),
-            el.adsr(
-              0.01,
-              0.1,
-              0.7,
-              0.3,
-              triggerSourceRef.current  // Use same shared trigger
-            )
-          ),
-          el.const({ key: `voice-gain-${d.data.id}`, value: 1 / maxVoices })
-        );
-  
-        // Manage voice collection
-        if (activeVoicesRef.current.size >= maxVoices) {
-          const [oldestKey] = activeVoicesRef.current.keys();
-          activeVoicesRef.current.delete(oldestKey);
-        }
-        activeVoicesRef.current.set(d.data.id, newVoice);
-  
-        // Mix all active voices
-        const voices = Array.from(activeVoicesRef.current.values());
-        let mix = voices.length > 1 ? el.add(...voices) : voices[0];
-  
-        // Add reverb if enabled
-        if (reverbAmount > 0) {
-          const reverbSignal = el.mul(
-            el.convolve({ path: 'reverb-ir', key: `reverb-${d.data.id}` }, mix),
-            el.const({ key: `wet-gain-${d.data.id}`, value: reverbAmount / 100 * 0.3 })
-          );
-          const drySignal = el.mul(
-            mix, 
-            el.const({ key: `dry-gain-${d.data.id}`, value: 1 - (reverbAmount / 100) })
-          );
-          mix = el.mul(
-            el.add(drySignal, reverbSignal),
-            el.const({ key: `master-gain-${d.data.id}`, value: 0.7 })
-          );
-        }
-  
-        await rendererRef.current.render(mix, mix);
-        requestAnimationFrame(redrawNodes);
-      } catch (error) {
-        console.error('Error playing sound:', error);
+    if (!silentMode) {
+      playAudioWithFade(d);
+      // Moving along a lineage is the usual next step, so the parent and children are loaded ahead
+      if (hasAudioInteraction) {
+        audioManager.prefetch([d.parent, ...(d.children || [])].filter(n => n?.data.id).map(getSoundUrl));
       }
     }
-  }, [experiment, evoRunId, hasAudioInteraction, silentMode, maxVoices, reverbAmount, redrawNodes]);
+  }, [silentMode, playAudioWithFade, hasAudioInteraction, audioManager, getSoundUrl]);
+
+  // In compare mode, show both trees merged into one
+  const mergedTree = useMemo(() => {
+    if (!treeData || !compareTreeData) return null;
+    return mergeTrees(treeData, compareTreeData);
+  }, [treeData, compareTreeData]);
+
+  // Process the tree based on context switches setting
+  const simplifiedRoot = useMemo(() => {
+    const tree = mergedTree || treeData;
+    if (!tree) return null;
+    if (contextSwitchMode === 'musical') {
+      return pruneTreeForContextSwitches(tree);
+    }
+    if (contextSwitchMode === 'partitions') {
+      return pruneTreeForContextSwitches(tree, className => getClassPartition(className, classPartitions));
+    }
+    return tree;
+  }, [treeData, mergedTree, contextSwitchMode, classPartitions]);
+
+  // Collapsed subtrees and focus refer to node ids of the loaded tree
+  useEffect(() => {
+    setCollapsedIds(new Set());
+    setFocusNodeId(null);
+  }, [treeData]);
+
+  // Nodes from the root to the focused node, for the breadcrumbs
+  const focusPath = useMemo(() => (
+    simplifiedRoot && focusNodeId ? findPath(simplifiedRoot, focusNodeId) : null
+  ), [simplifiedRoot, focusNodeId]);
+
+  // The tree as drawn: re-rooted at the focused node, with collapsed subtrees replaced by summaries
+  const displayedTree = useMemo(() => {
+    if (!simplifiedRoot) return null;
+    const base = focusPath ? focusPath[focusPath.length - 1] : simplifiedRoot;
+    return collapseTree(base, collapsedIds);
+  }, [simplifiedRoot, focusPath, collapsedIds]);
+
+  const toggleCollapsed = useCallback((nodeId) => {
+    setCollapsedIds(ids => {
+      const next = new Set(ids);
+      if (next.has(nodeId)) {
+        next.delete(nodeId);
+      } else {
+        next.add(nodeId);
+      }
+      return next;
+    });
+  }, []);
+
+  const collapseBelowDepth = useCallback(() => {
+    if (!displayedTree) return;
+    setCollapsedIds(ids => new Set([...ids, ...idsAtDepth(displayedTree, collapseDepth)]));
+  }, [displayedTree, collapseDepth]);
+
+  // Re-rooting changes the extent of the layout, so start again from the default zoom
+  const focusOn = useCallback((nodeId) => {
+    currentZoomTransformRef.current = null;
+    setFocusNodeId(nodeId);
+  }, []);
+
+  // Coloring by run only applies while comparing; switch to it when a comparison starts
+  const isComparing = Boolean(mergedTree);
+  const effectiveColorBy = colorBy === 'run' && !isComparing ? 'score' : colorBy;
+  useEffect(() => {
+    if (isComparing) setColorBy('run');
+  }, [isComparing, setColorBy]);
+
+  // Findings from the raw lineage (when loaded locally) plus findings from the tree itself
+  const findings = useMemo(() => [
+    ...(validationFindings || []),
+    ...(treeData ? validateTree(treeData) : [])
+  ], [treeData, validationFindings]);
 
   // Initialize D3 visualization
   useEffect(() => {
-    if (!containerRef.current || !treeData) return;
+    if (!containerRef.current || !displayedTree) return;
     
     // Clear existing content and reset initialization flag
     d3.select(containerRef.current).selectAll("*").remove();
     treeInitializedRef.current = false;
 
-    // Process the tree based on context switches setting
-    const simplifiedRoot = measureContextSwitches ? 
-      pruneTreeForContextSwitches(treeData) : 
-      treeData;
-
     const margin = { top: 80, right: 20, bottom: 80, left: 20 };
     const width = containerRef.current.clientWidth - margin.left - margin.right;
     const height = containerRef.current.clientHeight - margin.top - margin.bottom;
-    const nodeRadius = 6;
     const separationFactor = 3;
 
     // Create hierarchy and calculate margins
-    const root = d3.hierarchy(simplifiedRoot);
+    const root = d3.hierarchy(displayedTree);
     const maxMeasuredDepth = d3.max(root.descendants(), d => d.depth);
     const marginRadius = Math.max(100, maxMeasuredDepth * 50);
     const radius = Math.min(width, height) / 2 - marginRadius;
 
-    // Create SVG
-    const svg = d3.select(containerRef.current)
-      .append("svg")
-      .attr("width", width + margin.left + margin.right)
-      .attr("height", height + margin.top + margin.bottom)
-      .style("font", "10px sans-serif");
-
-    const g = svg.append("g")
-      .attr("transform", `translate(${width/2 + margin.left},${height/2 + margin.top})`);
-
-    // Create tree layout
-    const tree = d3.tree()
-      .size([2 * Math.PI, radius])
-      .separation((a, b) => (a.parent == b.parent ? 1 : 2) / a.depth * separationFactor);
-
-    // Process the hierarchy
-    tree(root);
-
-    // Adjust nodes function
-    function adjustNodes(node, depth = 0) {
-      if (node.children) {
-        const siblings = node.children;
-        const spacing = 2 * Math.PI / Math.pow(siblings.length, 1.1);
-        siblings.forEach((child, i) => {
-          child.x = node.x + (i - (siblings.length - 1) / 2) * spacing / (depth + 1);
-          adjustNodes(child, depth + 1);
-        });
+    // Lay out the tree, giving every node a cartesian position (d.px, d.py)
+    const gNScale = applyTreeLayout(root, layout, { width, height, radius, separationFactor });
+    const secondaryLinks = showSecondaryParents ? secondaryParentLinks(root) : [];
+
+    // Color and size encodings picked in the settings; radii are stored on the nodes as d.r
+    // (partition layouts size segments by their structure instead)
+    const colorEncoding = createColorEncoding(root, effectiveColorBy);
+    const sizeEncoding = createSizeEncoding(root, isPartitionLayout(layout) ? 'none' : sizeBy, NODE_RADIUS);
+    root.each(d => { d.r = sizeEncoding.radius(d); });
+    nodeFillRef.current = colorEncoding.fill;
+    setEncodingLegend({ color: colorEncoding.legend, size: sizeEncoding.legend });
+
+    const labels = labelCandidates(root, labelMode, layout);
+    labelCandidatesRef.current = labels;
+
+    const useCanvas = rendererMode === 'canvas' ||
+      (rendererMode === 'auto' && root.descendants().length > CANVAS_NODE_THRESHOLD);
+    let renderer = null;
+    let svg = null;
+    let g = null;
+    let surface;  // Element receiving zoom and pointer events
+    let placeSvgLabels = () => {};
+
+    // Clicking a collapsed node expands it, shift-click collapses; otherwise clicks select the lineage
+    const handleNodeClick = (event, d) => {
+      if (d.data.collapsed || (event.shiftKey && d.children)) {
+        toggleCollapsed(d.data.id);
+      } else if (d.data.id) {
+        setSelectedNodeId(d.data.id);
       }
-    }
+    };
 
-    adjustNodes(root);
-
-    // Create links
-    const links = g.selectAll(".link")
-      .data(root.links())
-      .join("path")
-      .attr("class", "link")
-      .attr("fill", "none")
-      .attr("stroke", "#555")
-      .attr("stroke-opacity", 0.4)
-      .attr("stroke-width", 3)
-      .attr("d", d3.linkRadial()
-        .angle(d => d.x)
-        .radius(d => d.y));
-
-    // Create nodes
-    const node = g.selectAll(".node")
-      .data(root.descendants())
-      .join("g")
-      .attr("class", "node")
-      .attr("transform", d => `rotate(${d.x * 180 / Math.PI - 90}) translate(${d.y},0)`);
-
-    const circles = node.append("circle")
-      .attr("fill", d => d.data.s ? d3.interpolateViridis(d.data.s) : "#999")
-      .attr("r", nodeRadius)
-      .attr("class", "node-circle")
-      .on("mouseover", handleNodeMouseOver)  // Use the memoized callback
-      .on("mouseout", function(event, d) {
-        setTooltip({ show: false, content: '', x: 0, y: 0 });
-        // Remove color update on mouseout since it's handled by redrawNodes
-      })
-      .on("dblclick", (event, d) => {
-        event.preventDefault();
-        event.stopPropagation();
-        if (hasAudioInteraction) {  // Change this line
-          downloadNodeSound(d);
-        }
+    if (useCanvas) {
+      renderer = new CanvasTreeRenderer(
+        containerRef.current,
+        width + margin.left + margin.right,
+        height + margin.top + margin.bottom
+      );
+      renderer.setScene({
+        root, layout, theme, fill: colorEncoding.fill, secondaryLinks, gNScale, layoutWidth: width, layoutHeight: height, labels
+      });
+      canvasRendererRef.current = renderer;
+      svgRef.current = null;
+      gRef.current = null;
+      nodeElementsRef.current = new Map();
+      surface = d3.select(renderer.canvas);
+
+      // Pointer events are resolved to nodes through the renderer's spatial index
+      const nodeAt = (event) => renderer.findNode(...d3.pointer(event, renderer.canvas));
+      let hoveredNode;
+      surface
+        .on("mousemove", (event) => {
+          const d = nodeAt(event);
+          if (d === hoveredNode) return;
+          hoveredNode = d;
+          renderer.canvas.style.cursor = d ? 'pointer' : '';
+          if (d) {
+            handleNodeMouseOver(event, d);
+          } else {
+            setTooltip({ show: false, content: '', x: 0, y: 0 });
+          }
+        })
+        .on("mouseleave", () => {
+          hoveredNode = undefined;
+          setTooltip({ show: false, content: '', x: 0, y: 0 });
+        })
+        .on("click", (event) => {
+          const d = nodeAt(event);
+          if (d) {
+            event.stopPropagation();
+            handleNodeClick(event, d);
+          }
+        })
+        .on("dblclick", (event) => {
+          const d = nodeAt(event);
+          if (d && hasAudioInteraction) {
+            downloadNodeSound(d);
+          }
+        });
+    } else {
+      canvasRendererRef.current = null;
+
+      // Create SVG
+      svg = d3.select(containerRef.current)
+        .append("svg")
+        .attr("width", width + margin.left + margin.right)
+        .attr("height", height + margin.top + margin.bottom)
+        .style("font", "10px sans-serif");
+
+      g = svg.append("g")
+        .attr("transform", `translate(${width/2 + margin.left},${height/2 + margin.top})`);
+
+      const { links, nodes, circles } = drawTreeSvg(g, root, {
+        layout, theme, fill: colorEncoding.fill, secondaryLinks, gNScale, height, labelNodes: labels
       });
 
+      // All candidate labels are drawn; the ones that don't fit at this zoom level are hidden
+      if (labels.length > 0) {
+        placeSvgLabels = (transform) => {
+          const placed = placeLabels(labels, layout, {
+            transform,
+            width: containerRef.current.clientWidth,
+            height: containerRef.current.clientHeight,
+            radius: nodeRadius
+          });
+          g.selectAll('.tree-label').attr('display', d => placed.has(d) ? null : 'none');
+        };
+      }
+
+      circles
+        .on("mouseover", handleNodeMouseOver)  // Use the memoized callback
+        .on("mouseout", function(event, d) {
+          setTooltip({ show: false, content: '', x: 0, y: 0 });
+          // Remove color update on mouseout since it's handled by redrawNodes
+        })
+        .on("click", (event, d) => {
+          event.stopPropagation();
+          handleNodeClick(event, d);
+        })
+        .on("dblclick", (event, d) => {
+          event.preventDefault();
+          event.stopPropagation();
+          if (hasAudioInteraction) {  // Change this line
+            downloadNodeSound(d);
+          }
+        });
+
+      // Store refs for direct access
+      svgRef.current = svg.node();
+      gRef.current = g.node();
+      nodesRef.current = nodes.node();
+      linksRef.current = links.node();
+      nodeElementsRef.current = new Map(
+        circles.nodes()
+          .filter(el => d3.select(el).datum().data.id)
+          .map(el => [d3.select(el).datum().data.id, el])
+      );
+      surface = svg;
+    }
+
     treeInitializedRef.current = true;
+    setRenderedRoot(root);
+
+    // Show nodes that are still playing from before the redraw
+    playingNodeIdsRef.current = new Set();
+    redrawNodes();
 
     // Add zoom behavior that maintains mouse position as zoom center
     // Optimize zoom handling
     const zoom = d3.zoom()
       .scaleExtent([0.1, 10])
       .on("zoom", (event) => {
+        const transform = event.transform;
+        currentZoomTransformRef.current = transform;
+        syncMinimap();
+
+        // The canvas renderer coalesces repaints itself
+        if (renderer) {
+          renderer.setTransform(transform);
+          return;
+        }
+
         requestAnimationFrame(() => {
-          const transform = event.transform;
-          currentZoomTransformRef.current = transform;
-          
           if (gRef.current) {
             gRef.current.style.transform = 
               `translate(${transform.x}px,${transform.y}px) scale(${transform.k})`;
             
             // Batch DOM updates
-            const nodes = gRef.current.querySelectorAll('.node-circle');
+            const nodes = gRef.current.querySelectorAll('circle.node-circle');
             const links = gRef.current.querySelectorAll('.link');
             
             nodes.forEach(node => {
-              node.setAttribute('r', nodeRadius / transform.k);
+              node.setAttribute('r', d3.select(node).datum().r / transform.k);
             });
             
             links.forEach(link => {
               link.style.strokeWidth = `${3 / transform.k}px`;
             });
+
+            gRef.current.querySelectorAll('.collapsed-glyph').forEach(glyph => {
+              glyph.setAttribute('transform', `scale(${1 / transform.k})`);
+            });
+
+            gRef.current.querySelectorAll('circle.focus-ring').forEach(ring => {
+              ring.setAttribute('r', (nodeRadius(d3.select(ring).datum()) + FOCUS_RING_GAP) / transform.k);
+            });
+
+            gRef.current.querySelectorAll('.tree-label text').forEach(text => {
+              text.setAttribute('transform', `scale(${1 / transform.k})`);
+            });
+            placeSvgLabels(transform);
           }
 
           // // Update audio volume
@@ -457,22 +507,26 @@ const PhylogeneticViewer = ({
         });
       });
 
-    // Store refs for direct access
-    svgRef.current = svg.node();
-    gRef.current = g.node();
-    nodesRef.current = node.node();
-    linksRef.current = links.node();
+    // Double-clicking a node on the canvas downloads its sound instead of zooming in
+    if (renderer) {
+      zoom.filter(event =>
+        (!event.ctrlKey || event.type === 'wheel') && !event.button &&
+        !(event.type === 'dblclick' && renderer.findNode(...d3.pointer(event, renderer.canvas)))
+      );
+    }
+
+    zoomRef.current = zoom;
 
     // Apply zoom behavior
-    svg.call(zoom);
+    surface.call(zoom);
 
     // Apply stored zoom transform or initial zoom
     if (currentZoomTransformRef.current) {
-      svg.call(zoom.transform, currentZoomTransformRef.current);
+      surface.call(zoom.transform, currentZoomTransformRef.current);
     } else {
       const dx = width / 2;
       const dy = height / 2;
-      svg.call(
+      surface.call(
         zoom.transform,
         d3.zoomIdentity
           .translate(dx, dy)
@@ -484,6 +538,12 @@ const PhylogeneticViewer = ({
     const handleResize = () => {
       const newWidth = containerRef.current.clientWidth - margin.left - margin.right;
       const newHeight = containerRef.current.clientHeight - margin.top - margin.bottom;
+
+      if (renderer) {
+        renderer.resize(newWidth + margin.left + margin.right, newHeight + margin.top + margin.bottom);
+        syncMinimap();
+        return;
+      }
       
       svg
         .attr("width", newWidth + margin.left + margin.right)
@@ -494,6 +554,8 @@ const PhylogeneticViewer = ({
       } else {
         g.attr("transform", `translate(${newWidth/2 + margin.left},${newHeight/2 + margin.top})`);
       }
+      if (currentZoomTransformRef.current) placeSvgLabels(currentZoomTransformRef.current);
+      syncMinimap();
     };
 
     window.addEventListener('resize', handleResize);
@@ -501,45 +563,512 @@ const PhylogeneticViewer = ({
     // Cleanup
     return () => {
       window.removeEventListener('resize', handleResize);
-      // Remove the old audio cleanup since we're using AudioManager now
-      audioManagerRef.current?.cleanup();
+      audioManager.stopChannel(AUDIO_CHANNEL);
+      if (renderer) {
+        renderer.destroy();
+        if (canvasRendererRef.current === renderer) canvasRendererRef.current = null;
+      }
     };
-  }, [treeData, experiment, evoRunId, measureContextSwitches, hasAudioInteraction, handleNodeMouseOver]); // Remove silentMode
+  }, [displayedTree, layout, rendererMode, effectiveColorBy, sizeBy, labelMode, theme, experiment, evoRunId, showSecondaryParents, hasAudioInteraction, handleNodeMouseOver, downloadNodeSound, redrawNodes, toggleCollapsed, syncMinimap, audioManager]); // Remove silentMode
+
+  // Zoom to a node and mark it with an outline, e.g. when a validation finding is clicked
+  const focusNode = useCallback((nodeId) => {
+    const renderer = canvasRendererRef.current;
+    const surface = renderer ? renderer.canvas : svgRef.current;
+    if (!surface || !zoomRef.current) return;
+
+    const scale = 4;
+    let target;
+    if (renderer) {
+      target = renderer.nodeById.get(nodeId);
+      if (!target) return;
+      highlightedNodeIdRef.current = nodeId;
+      renderer.setHighlighted(nodeId);
+    } else {
+      const circles = d3.select(gRef.current).selectAll('.node-circle');
+      circles.filter(d => d.data.id === highlightedNodeIdRef.current)
+        .attr('stroke', null)
+        .attr('stroke-width', null);
+
+      const selection = circles.filter(d => d.data.id === nodeId);
+      if (selection.empty()) return;
+      highlightedNodeIdRef.current = nodeId;
+
+      selection
+        .attr('stroke', '#f43f5e')
+        .attr('stroke-width', 3 / scale);
+      target = selection.datum();
+    }
+
+    const { px: x, py: y } = target;
+    d3.select(surface)
+      .transition()
+      .duration(750)
+      .call(
+        zoomRef.current.transform,
+        d3.zoomIdentity
+          .translate(surface.clientWidth / 2 - x * scale, surface.clientHeight / 2 - y * scale)
+          .scale(scale)
+      );
+  }, []);
+
+  // Fit the bounding box of the given nodes into the view
+  const zoomToNodes = useCallback((nodes) => {
+    const renderer = canvasRendererRef.current;
+    const surface = renderer ? renderer.canvas : svgRef.current;
+    if (!surface || !zoomRef.current || nodes.length === 0) return;
+
+    const padding = 40;
+    const [minX, maxX] = d3.extent(nodes, d => d.px);
+    const [minY, maxY] = d3.extent(nodes, d => d.py);
+    const [minScale, maxScale] = zoomRef.current.scaleExtent();
+    const scale = Math.max(minScale, Math.min(
+      maxScale,
+      (surface.clientWidth - padding * 2) / Math.max(maxX - minX, 1),
+      (surface.clientHeight - padding * 2) / Math.max(maxY - minY, 1)
+    ));
+
+    d3.select(surface)
+      .transition()
+      .duration(750)
+      .call(
+        zoomRef.current.transform,
+        d3.zoomIdentity
+          .translate(surface.clientWidth / 2 - (minX + maxX) / 2 * scale, surface.clientHeight / 2 - (minY + maxY) / 2 * scale)
+          .scale(scale)
+      );
+  }, []);
+
+  // Minimap overview of the drawn tree, in the layout coordinates the zoom transform applies to
+  const minimapBounds = useMemo(() => {
+    if (!renderedRoot) return null;
+    const nodes = renderedRoot.descendants();
+    const [minX, maxX] = d3.extent(nodes, d => d.px);
+    const [minY, maxY] = d3.extent(nodes, d => d.py);
+    const padding = Math.max(maxX - minX, maxY - minY, 100) * 0.05;
+    return [[minX - padding, minY - padding], [maxX + padding, maxY + padding]];
+  }, [renderedRoot]);
+
+  const renderedNodeById = useMemo(() => new Map(
+    renderedRoot ? renderedRoot.descendants().filter(d => d.data.id).map(d => [d.data.id, d]) : []
+  ), [renderedRoot]);
+
+  const drawMinimapTree = useCallback((ctx, scale) => {
+    if (!renderedRoot) return;
+    ctx.strokeStyle = '#4b5563';
+    ctx.lineWidth = 1 / scale;
+    ctx.beginPath();
+    renderedRoot.links().forEach(({ source, target }) => {
+      ctx.moveTo(source.px, source.py);
+      ctx.lineTo(target.px, target.py);
+    });
+    ctx.stroke();
+
+    // One fill per color keeps this fast for large trees
+    const size = 2 / scale;
+    d3.group(renderedRoot.descendants(), d => nodeFillRef.current(d)).forEach((nodes, fill) => {
+      ctx.fillStyle = fill;
+      nodes.forEach(d => ctx.fillRect(d.px - size / 2, d.py - size / 2, size, size));
+    });
+  }, [renderedRoot]);
+
+  const drawMinimapPlaying = useCallback((ctx, scale) => {
+    ctx.fillStyle = '#ff0000';
+    playingNodeIdsRef.current.forEach(id => {
+      const d = renderedNodeById.get(id);
+      if (!d) return;
+      ctx.beginPath();
+      ctx.arc(d.px, d.py, 3 / scale, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+  }, [renderedNodeById]);
+
+  // Center the view on a point picked on the minimap
+  const navigateToPoint = useCallback((x, y) => {
+    const surface = canvasRendererRef.current ? canvasRendererRef.current.canvas : svgRef.current;
+    if (!surface || !zoomRef.current) return;
+    d3.select(surface).call(zoomRef.current.translateTo, x, y);
+  }, []);
 
-  // Add periodic redraw to catch any missed state changes
+  // The minimap mounts after the tree is drawn, so hand it the current viewport once it is there
   useEffect(() => {
-    const interval = setInterval(() => {
-      if (audioManagerRef.current) {
-        redrawNodes();
+    if (showMinimap) syncMinimap();
+  }, [showMinimap, renderedRoot, syncMinimap]);
+
+  // Ancestors of the selected node, from the root down to the node itself
+  const selectedLineage = useMemo(() => {
+    if (!renderedRoot || !selectedNodeId) return null;
+    const selected = renderedRoot.descendants().find(d => d.data.id === selectedNodeId);
+    return selected ? selected.ancestors().reverse().filter(d => d.data.id) : null;
+  }, [renderedRoot, selectedNodeId]);
+
+  const searchMatcher = useMemo(() => createSearchMatcher(searchQuery), [searchQuery]);
+
+  // Nodes matching the search query, in order of generation for stepping and playback
+  const searchMatches = useMemo(() => {
+    if (!renderedRoot || !searchMatcher?.match) return [];
+    return renderedRoot.descendants()
+      .filter(d => d.data.id && searchMatcher.match(d))
+      .sort((a, b) => (a.data.gN ?? 0) - (b.data.gN ?? 0));
+  }, [renderedRoot, searchMatcher]);
+
+  // Generation of every node shown while the tree grows; whole generations appear at once
+  const growthExtent = useMemo(() => {
+    if (!renderedRoot) return null;
+    const extent = d3.extent(renderedRoot.descendants(), d => d.data.gN ?? 0);
+    return extent[0] < extent[1] ? extent : null;
+  }, [renderedRoot]);
+  const shownGeneration = growthGeneration === null ? null : Math.floor(growthGeneration);
+
+  // Highlight the selected lineage (and optionally its descendants) or the search matches and dim everything else;
+  // while the tree grows, nodes born after the shown generation are hidden on top of that
+  useEffect(() => {
+    const renderer = canvasRendererRef.current;
+    if ((!gRef.current && !renderer) || !renderedRoot) return;
+    let nodeOpacity = null;
+    let linkOpacity = null;
+
+    if (selectedLineage) {
+      const highlighted = new Set(selectedLineage);
+      if (includeDescendants) {
+        selectedLineage[selectedLineage.length - 1].descendants().forEach(d => highlighted.add(d));
       }
-    }, 100); // Check every 100ms
+      nodeOpacity = d => highlighted.has(d) ? 1 : 0.1;
+      linkOpacity = link => highlighted.has(link.source) && highlighted.has(link.target) ? 1 : 0.05;
+    } else if (searchMatcher?.match) {
+      const matches = new Set(searchMatches);
+      nodeOpacity = d => matches.has(d) ? 1 : 0.1;
+      linkOpacity = link => matches.has(link.target) ? 0.4 : 0.1;
+    }
 
-    return () => clearInterval(interval);
-  }, [redrawNodes]);
+    if (shownGeneration !== null) {
+      const born = d => (d.data.gN ?? 0) <= shownGeneration;
+      const highlightNode = nodeOpacity;
+      const highlightLink = linkOpacity;
+      nodeOpacity = d => born(d) ? (highlightNode ? highlightNode(d) : 1) : 0;
+      linkOpacity = link => born(link.source) && born(link.target) ? (highlightLink ? highlightLink(link) : 1) : 0;
+    }
 
-  // Update click handler
-  const handleClick = async (e) => {
-    e.stopPropagation();
-    console.log('Click handler, hasAudioInteraction:', hasAudioInteraction, 'renderer ready:', rendererReady);
-    
-    if (!hasAudioInteraction && rendererReady) {
-      try {
-        await contextRef.current.resume();
-        onAudioInteraction();
-        console.log('Audio interaction enabled');
-      } catch (error) {
-        console.error('Error initializing audio:', error);
-      }
-    } else {
-      console.log('Audio not ready:', { 
-        hasAudioInteraction, 
-        rendererReady, 
-        contextState: contextRef.current?.state,
-        hasRenderer: !!rendererRef.current 
+    if (renderer) {
+      renderer.setOpacity(nodeOpacity, linkOpacity);
+      return;
+    }
+
+    if (!nodeOpacity) {
+      gRef.current.querySelectorAll('.node, .link').forEach(el => {
+        el.style.opacity = '';
+        el.style.pointerEvents = '';
+      });
+      return;
+    }
+
+    requestAnimationFrame(() => {
+      gRef.current.querySelectorAll('.node').forEach(node => {
+        const opacity = nodeOpacity(d3.select(node).datum());
+        node.style.opacity = opacity;
+        node.style.pointerEvents = opacity > 0 ? '' : 'none';
+      });
+      gRef.current.querySelectorAll('.link').forEach(link => {
+        link.style.opacity = linkOpacity(d3.select(link).datum());
       });
+    });
+  }, [renderedRoot, selectedLineage, includeDescendants, searchMatcher, searchMatches, shownGeneration]);
+
+  // Cancel the running lineage or match playback; with a kind, only when that kind is playing
+  const stopSequencePlayback = useCallback((kind) => {
+    if (kind && sequencePlaybackRef.current.kind !== kind) return;
+    sequencePlaybackRef.current = { id: sequencePlaybackRef.current.id + 1, kind: null };
+    setPlayingLineageIndex(null);
+    setPlayingMatchIndex(null);
+  }, []);
+
+  // Play the nodes in order, waiting for each sound to end plus the lineage gap;
+  // a negative gap starts the next sound early and fades the previous one out over the overlap
+  const playSequence = useCallback(async (kind, nodes, setPlayingIndex) => {
+    if (!hasAudioInteraction) return;
+    stopSequencePlayback();
+    const playbackId = sequencePlaybackRef.current.id;
+    sequencePlaybackRef.current.kind = kind;
+
+    for (let i = 0; i < nodes.length; i++) {
+      if (sequencePlaybackRef.current.id !== playbackId) return;
+      const audioUrl = getSoundUrl(nodes[i]);
+      if (!audioUrl) continue;
+
+      setPlayingIndex(i);
+      const d = nodes[i];
+      const result = await audioManager.playSound(audioUrl, { i: d.data.id, j: d.data.id }, {
+        channel: AUDIO_CHANNEL,
+        position: nodePosition(d)
+      });
+      if (!result) continue;
+
+      const voice = audioManager.voices.get(result.voiceId);
+      const duration = voice?.source.buffer.duration || 0;
+      await new Promise(resolve => setTimeout(resolve, Math.max(0, duration * 1000 + lineageGap)));
+
+      if (lineageGap < 0 && sequencePlaybackRef.current.id === playbackId) {
+        audioManager.releaseVoice(result.voiceId, false, -lineageGap / 1000);
+      }
+    }
+
+    if (sequencePlaybackRef.current.id === playbackId) {
+      stopSequencePlayback();
+    }
+  }, [audioManager, hasAudioInteraction, getSoundUrl, nodePosition, lineageGap, stopSequencePlayback]);
+
+  const playLineage = useCallback(() => {
+    if (selectedLineage) playSequence('lineage', selectedLineage, setPlayingLineageIndex);
+  }, [selectedLineage, playSequence]);
+
+  // The match counter follows the playing match
+  const playSearchMatches = useCallback(() => {
+    playSequence('matches', searchMatches, (i) => {
+      setPlayingMatchIndex(i);
+      setSearchMatchIndex(i);
+    });
+  }, [searchMatches, playSequence]);
+
+  // Stop lineage playback when the selection changes
+  useEffect(() => {
+    stopSequencePlayback('lineage');
+  }, [selectedNodeId, stopSequencePlayback]);
+
+  // Start stepping from the first match again and stop match playback when the matches change
+  useEffect(() => {
+    setSearchMatchIndex(null);
+    stopSequencePlayback('matches');
+  }, [searchMatches, stopSequencePlayback]);
+
+  const stepSearchMatch = useCallback((step) => {
+    if (searchMatches.length === 0) return;
+    const index = searchMatchIndex === null ?
+      (step > 0 ? 0 : searchMatches.length - 1)
+      : (searchMatchIndex + step + searchMatches.length) % searchMatches.length;
+    setSearchMatchIndex(index);
+    focusNode(searchMatches[index].data.id);
+  }, [searchMatches, searchMatchIndex, focusNode]);
+
+  // Repaint playing nodes when the AudioManager starts or stops a voice
+  useEffect(() => {
+    return audioManager.onPlayingCellsChange(() => requestAnimationFrame(redrawNodes));
+  }, [audioManager, redrawNodes]);
+
+  // Keyboard focus: a ring around the node, kept on screen and announced to screen readers
+  const describeNode = (d) => [
+    d.data.name || d.data.id,
+    `score ${d.data.s !== undefined ? d.data.s.toFixed(3) : 'unknown'}`,
+    `generation ${d.data.gN ?? 'unknown'}`,
+    d.data.collapsed ?
+      `collapsed, ${d.data.collapsed.count} descendants`
+      : `${d.children?.length || 0} ${d.children?.length === 1 ? 'child' : 'children'}`,
+    d.data.id === selectedNodeId ? 'selected' : null
+  ].filter(Boolean).join(', ');
+
+  // Pan without zooming when the node is close to or beyond the edge of the view
+  const panIntoView = useCallback((d) => {
+    const surface = canvasRendererRef.current ? canvasRendererRef.current.canvas : svgRef.current;
+    if (!surface || !zoomRef.current) return;
+    const margin = 60;
+    const [x, y] = (currentZoomTransformRef.current || d3.zoomIdentity).apply([d.px, d.py]);
+    if (x < margin || x > surface.clientWidth - margin || y < margin || y > surface.clientHeight - margin) {
+      d3.select(surface)
+        .transition()
+        .duration(250)
+        .call(zoomRef.current.translateTo, d.px, d.py);
+    }
+  }, []);
+
+  const playNode = useCallback((d) => {
+    const audioUrl = getSoundUrl(d);
+    if (!audioUrl) return;
+    audioManager.playSound(audioUrl, { i: d.data.id, j: d.data.id }, {
+      channel: AUDIO_CHANNEL,
+      position: nodePosition(d)
+    });
+  }, [audioManager, getSoundUrl, nodePosition]);
+
+  // Nodes in order of generation, to find the ones appearing between two frames of the growth animation
+  const nodesByGeneration = useMemo(() => (
+    renderedRoot ?
+      renderedRoot.descendants().filter(d => d.data.id).sort((a, b) => (a.data.gN ?? 0) - (b.data.gN ?? 0))
+      : []
+  ), [renderedRoot]);
+
+  // The best scoring of the nodes born after generation `from` up to `to`, so fast playback doesn't flood the voices
+  const sonifyBirths = useCallback((from, to) => {
+    if (!sonifyGrowth || !hasAudioInteraction) return;
+    const bisect = d3.bisector(d => d.data.gN ?? 0).right;
+    nodesByGeneration.slice(bisect(nodesByGeneration, from), bisect(nodesByGeneration, to))
+      .sort((a, b) => (b.data.s ?? 0) - (a.data.s ?? 0))
+      .slice(0, MAX_GROWTH_SOUNDS_PER_STEP)
+      .forEach(playNode);
+  }, [sonifyGrowth, hasAudioInteraction, nodesByGeneration, playNode]);
+
+  const pauseGrowth = useCallback(() => {
+    cancelAnimationFrame(growthFrameRef.current);
+    setIsGrowing(false);
+  }, []);
+
+  // Advance through the run in growthDuration seconds, from the shown generation or from the start
+  const playGrowth = useCallback(() => {
+    if (!growthExtent) return;
+    const [minGeneration, maxGeneration] = growthExtent;
+    cancelAnimationFrame(growthFrameRef.current);
+    let generation = growthGeneration === null || growthGeneration >= maxGeneration ? minGeneration : growthGeneration;
+    const generationsPerMs = (maxGeneration - minGeneration) / (growthDuration * 1000);
+    let last = performance.now();
+    setGrowthGeneration(generation);
+    setIsGrowing(true);
+
+    const tick = (now) => {
+      const next = Math.min(maxGeneration, generation + generationsPerMs * (now - last));
+      last = now;
+      if (Math.floor(next) > Math.floor(generation)) sonifyBirths(Math.floor(generation), Math.floor(next));
+      generation = next;
+      setGrowthGeneration(next);
+      if (next >= maxGeneration) {
+        setIsGrowing(false);
+        return;
+      }
+      growthFrameRef.current = requestAnimationFrame(tick);
+    };
+    growthFrameRef.current = requestAnimationFrame(tick);
+  }, [growthExtent, growthGeneration, growthDuration, sonifyBirths]);
+
+  // Scrubbing pauses the animation; dragging forward plays the nodes passed over
+  const scrubGrowth = useCallback((generation) => {
+    pauseGrowth();
+    if (growthGeneration !== null && generation > growthGeneration) {
+      sonifyBirths(Math.floor(growthGeneration), generation);
+    }
+    setGrowthGeneration(generation);
+  }, [pauseGrowth, growthGeneration, sonifyBirths]);
+
+  useEffect(() => () => cancelAnimationFrame(growthFrameRef.current), []);
+
+  // Keyboard navigation continues from the node last clicked, and the inspector reopens for it
+  useEffect(() => {
+    if (selectedNodeId) {
+      setKeyboardNodeId(selectedNodeId);
+      setShowInspector(true);
+    }
+  }, [selectedNodeId]);
+
+  const inspectedNode = showInspector && selectedLineage ? selectedLineage[selectedLineage.length - 1] : null;
+
+  const formatNumber = (value, digits) => typeof value === 'number' ? value.toFixed(digits) : 'N/A';
+  const inspectorMetadata = inspectedNode && [
+    ['Class', inspectedNode.data.name || 'N/A'],
+    ['ID', inspectedNode.data.id],
+    ['Score', formatNumber(inspectedNode.data.s, 3)],
+    ['Generation', inspectedNode.data.gN ?? 'N/A'],
+    ['Duration', inspectedNode.data.duration ?? 'N/A'],
+    ['Note delta', inspectedNode.data.noteDelta ?? 'N/A'],
+    ['Velocity', inspectedNode.data.velocity ?? 'N/A'],
+    ['Parent', inspectedNode.parent?.data.id || 'None'],
+    ...(inspectedNode.data.secondaryParents?.length ?
+      [['Crossover parents', inspectedNode.data.secondaryParents.join(', ')]]
+      : []),
+    ...(inspectedNode.data.uBC !== undefined ? [['uBC', inspectedNode.data.uBC]] : [])
+  ];
+
+  // Draw the focus ring; redrawing the tree removes it, so this also runs for every new renderedRoot
+  useEffect(() => {
+    const renderer = canvasRendererRef.current;
+    if (renderer) {
+      renderer.setFocused(keyboardNodeId);
+      return;
+    }
+    if (!gRef.current) return;
+    gRef.current.querySelectorAll('.focus-ring').forEach(ring => ring.remove());
+    const element = keyboardNodeId && nodeElementsRef.current.get(keyboardNodeId);
+    if (!element) return;
+
+    const d = d3.select(element).datum();
+    const ring = d3.select(element.cloneNode())
+      .datum(d)
+      .attr('class', 'focus-ring')
+      .attr('fill', 'none')
+      .attr('stroke', FOCUS_RING_COLOR)
+      .attr('stroke-width', 2)
+      .attr('vector-effect', 'non-scaling-stroke')
+      .attr('pointer-events', 'none');
+    if (element.tagName === 'circle') {
+      ring.attr('r', (nodeRadius(d) + FOCUS_RING_GAP) / (currentZoomTransformRef.current?.k || 1));
+    }
+    element.parentNode.appendChild(ring.node());
+  }, [keyboardNodeId, renderedRoot]);
+
+  // Left/Right move to the parent/first child, Up/Down to the previous/next sibling, Home to the root;
+  // Enter plays the focused node and Space toggles its selection
+  const handleTreeKeyDown = (event) => {
+    if (!renderedRoot) return;
+    const start = renderedRoot.data.id ? renderedRoot : renderedRoot.children?.[0];
+    const current = renderedNodeById.get(keyboardNodeId);
+    let next;
+    let boundary;
+
+    switch (event.key) {
+      case 'ArrowLeft':
+        next = current ? current.parent : start;
+        boundary = 'No parent';
+        break;
+      case 'ArrowRight':
+        next = current ? current.children?.[0] : start;
+        boundary = current?.data.collapsed ? 'Collapsed subtree, shift-click to expand' : 'No children';
+        break;
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        if (!current) {
+          next = start;
+          break;
+        }
+        const siblings = current.parent ? current.parent.children : [current];
+        next = siblings[siblings.indexOf(current) + (event.key === 'ArrowDown' ? 1 : -1)];
+        boundary = event.key === 'ArrowDown' ? 'Last sibling' : 'First sibling';
+        break;
+      }
+      case 'Home':
+        next = start;
+        break;
+      case 'Enter':
+        if (!hasAudioInteraction) {
+          // Enter enables audio like a click does
+          handleClick(event);
+        } else if (current) {
+          playNode(current);
+        }
+        break;
+      case ' ':
+        if (current) {
+          const selected = current.data.id !== selectedNodeId;
+          setSelectedNodeId(selected ? current.data.id : null);
+          setAnnouncement(`${current.data.name || current.data.id} ${selected ? 'selected' : 'deselected'}`);
+        }
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+
+    if (!event.key.startsWith('Arrow') && event.key !== 'Home') return;
+    if (next?.data.id) {
+      setKeyboardNodeId(next.data.id);
+      setAnnouncement(describeNode(next));
+      panIntoView(next);
+    } else if (boundary) {
+      setAnnouncement(boundary);
     }
   };
 
+  // The first click resumes the shared audio engine, which browsers only allow from a user gesture
+  const handleClick = async (e) => {
+    e.stopPropagation();
+    if (!audioEngine.isRunning) await audioEngine.resume();
+    if (!hasAudioInteraction) onAudioInteraction();
+  };
+
   // Update the theme handling
   useEffect(() => {
     if (theme === 'light') {
@@ -551,21 +1080,57 @@ const PhylogeneticViewer = ({
     }
   }, [theme]);
 
-  const handleExportSVG = useCallback(() => {
-    if (!svgRef.current) return;
-    
-    // Clone the SVG to avoid modifying the displayed one
-    const clonedSvg = svgRef.current.cloneNode(true);
-    
-    // Apply current transform to the main group
-    if (currentZoomTransformRef.current) {
-      const g = clonedSvg.querySelector('g');
-      const transform = currentZoomTransformRef.current;
-      g.setAttribute('transform', `translate(${transform.x},${transform.y}) scale(${transform.k})`);
+  // SVG of the tree for export with its size: the visible viewport, or the whole tree at the current zoom level
+  const treeExportSvg = useCallback((fullExtent) => {
+    if ((!svgRef.current && !canvasRendererRef.current) || !currentZoomTransformRef.current) return null;
+    const renderer = canvasRendererRef.current;
+    let transform = currentZoomTransformRef.current;
+    let width = containerRef.current.clientWidth;
+    let height = containerRef.current.clientHeight;
+    let placed = null;  // Labels placed for the exported area, when it differs from the view
+
+    if (fullExtent && minimapBounds) {
+      const [[x0, y0], [x1, y1]] = minimapBounds;
+      const k = transform.k;
+      const labels = labelCandidatesRef.current;
+      const margin = 24 + (labels.length > 0 ? d3.max(labels, d => measureLabel(d.data.name)) : 0);
+      width = Math.ceil((x1 - x0) * k + margin * 2);
+      height = Math.ceil((y1 - y0) * k + margin * 2);
+      transform = d3.zoomIdentity.translate(margin - x0 * k, margin - y0 * k).scale(k);
+      placed = placeLabels(labels, layout, { transform, width, height, radius: nodeRadius });
+    }
+
+    // Clone the SVG to avoid modifying the displayed one; canvas-rendered trees are drawn into a fresh SVG
+    const clonedSvg = renderer ?
+      renderer.toSvg(placed ? [...placed] : undefined) :
+      svgRef.current.cloneNode(true);
+    clonedSvg.querySelectorAll('.focus-ring').forEach(ring => ring.remove());
+    if (placed && !renderer) {
+      const liveLabels = svgRef.current.querySelectorAll('.tree-label');
+      clonedSvg.querySelectorAll('.tree-label').forEach((label, i) => {
+        if (placed.has(d3.select(liveLabels[i]).datum())) {
+          label.removeAttribute('display');
+        } else {
+          label.setAttribute('display', 'none');
+        }
+      });
     }
 
+    // Apply the transform to the main group
+    const g = clonedSvg.querySelector('g');
+    g.style.transform = '';
+    g.setAttribute('transform', `translate(${transform.x},${transform.y}) scale(${transform.k})`);
+    clonedSvg.setAttribute('width', width);
+    clonedSvg.setAttribute('height', height);
+    return { svg: clonedSvg, width, height };
+  }, [minimapBounds, layout]);
+
+  const handleExportSVG = useCallback(({ fullExtent }) => {
+    const figure = treeExportSvg(fullExtent);
+    if (!figure) return;
+
     // Convert to string
-    const svgString = new XMLSerializer().serializeToString(clonedSvg);
+    const svgString = new XMLSerializer().serializeToString(figure.svg);
     const blob = new Blob([svgString], { type: 'image/svg+xml' });
     
     // Create download link
@@ -577,7 +1142,51 @@ const PhylogeneticViewer = ({
     link.click();
     document.body.removeChild(link);
     URL.revokeObjectURL(url);
-  }, []);
+  }, [treeExportSvg]);
+
+  // PNG or PDF of the tree with a title block and the color legend, for publications
+  const handleExportFigure = useCallback(async (format, { dpi, fullExtent }) => {
+    const figure = treeExportSvg(fullExtent);
+    if (!figure) return;
+    try {
+      const title = experiment || 'Phylogenetic tree';
+      const subtitle = [
+        compareEvoRunId ? `${evoRunId} vs ${compareEvoRunId}` : evoRunId,
+        TREE_LAYOUTS[layout],
+        new Date().toLocaleDateString()
+      ].filter(Boolean).join(' · ');
+      const { canvas, dpi: actualDpi } = await renderFigure({
+        ...figure,
+        title,
+        subtitle,
+        legend: encodingLegend,
+        categoryLabels: { a: compareLabels?.a || 'Run A', b: compareLabels?.b || 'Run B', shared: 'Shared' },
+        theme,
+        dpi
+      });
+      const blob = format === 'pdf' ?
+        await canvasToPdf(canvas, actualDpi, `${title} ${evoRunId || ''}`.trim()) :
+        await canvasToPng(canvas, actualDpi);
+      downloadFile(blob, `phylogenetic-tree-${evoRunId || Date.now()}.${format}`, blob.type);
+    } catch (error) {
+      console.error(`Error exporting the tree as ${format.toUpperCase()}:`, error);
+    }
+  }, [treeExportSvg, experiment, evoRunId, compareEvoRunId, compareLabels, layout, encodingLegend, theme]);
+
+  // Export the tree as currently shown (merged and/or pruned) for use in phylogenetics tools
+  const handleExportNewick = useCallback(() => {
+    if (!simplifiedRoot) return;
+    downloadFile(toNewick(simplifiedRoot), `phylogenetic-tree-${evoRunId || Date.now()}.nwk`);
+  }, [simplifiedRoot, evoRunId]);
+
+  const handleExportPhyloXML = useCallback(() => {
+    if (!simplifiedRoot) return;
+    downloadFile(
+      toPhyloXML(simplifiedRoot, evoRunId),
+      `phylogenetic-tree-${evoRunId || Date.now()}.xml`,
+      'application/xml'
+    );
+  }, [simplifiedRoot, evoRunId]);
 
   // Add key handler for Alt key
   useEffect(() => {
@@ -603,16 +1212,43 @@ const PhylogeneticViewer = ({
     >
       {/* Add download button next to settings */}
       <div className="absolute bottom-2 right-2 z-50 flex gap-2">
-        <button
-          onClick={handleExportSVG}
-          className="p-2 rounded-full bg-gray-800/80 hover:bg-gray-700/80 text-white"
-          title="Export as SVG"
-        >
-          <Download size={20} />
-        </button>
+        <ExportMenu
+          items={[
+            ['Export as SVG', handleExportSVG],
+            ['Export as PNG', (options) => handleExportFigure('png', options)],
+            ['Export as PDF', (options) => handleExportFigure('pdf', options)],
+            ['Export as Newick', handleExportNewick],
+            ['Export as PhyloXML', handleExportPhyloXML]
+          ]}
+        />
         {/* ...existing settings button... */}
       </div>
 
+      <div className="absolute bottom-14 right-2 z-40 flex flex-col gap-2">
+        {mergedTree && (
+          <TreeDiffPanel
+            mergedTree={mergedTree}
+            treeA={treeData}
+            treeB={compareTreeData}
+            labelA={compareLabels?.a}
+            labelB={compareLabels?.b}
+          />
+        )}
+        {encodingLegend && (
+          <EncodingLegend
+            color={encodingLegend.color}
+            size={encodingLegend.size}
+            categoryLabels={{ a: compareLabels?.a || 'Run A', b: compareLabels?.b || 'Run B', shared: 'Shared' }}
+          />
+        )}
+        <ValidationReportPanel findings={findings} onSelectFinding={(f) => focusNode(f.nodeId)} />
+        <TreeStatisticsPanel
+          tree={simplifiedRoot}
+          evoRunId={mergedTree ? [evoRunId, compareEvoRunId].filter(Boolean).join('-vs-') : evoRunId}
+          merged={!!mergedTree}
+        />
+      </div>
+
       {/* Enhanced Settings Panel */}
       {showSettings && (
         <div 
@@ -620,20 +1256,21 @@ const PhylogeneticViewer = ({
             ${theme === 'light' 
               ? 'bg-white/95 text-gray-900' 
               : 'bg-gray-900/95 text-white'} 
-            backdrop-blur w-80`}
+            backdrop-blur w-80 max-h-[calc(100vh-8rem)] overflow-y-auto`}
         >
           <div className="space-y-6">
-            {/* Search Filter - Now using ref */}
-            <div className="space-y-2">
-              <label className="text-sm font-medium">Search Filter</label>
-              <input
-                type="text"
-                defaultValue={searchTermRef.current}  // Using defaultValue with ref
-                onChange={handleSearchInput}
-                placeholder="Search by ID..."
-                className="w-full px-3 py-1.5 text-sm bg-gray-800 text-white rounded border border-gray-700 focus:border-blue-500 focus:outline-none"
-              />
-            </div>
+            <TreeSearchPanel
+              query={searchQuery}
+              onQueryChange={setSearchQuery}
+              error={searchMatcher?.error}
+              matchCount={searchMatches.length}
+              matchIndex={searchMatchIndex}
+              onStep={stepSearchMatch}
+              onZoomToMatches={() => zoomToNodes(searchMatches)}
+              isPlaying={playingMatchIndex !== null}
+              onPlay={playSearchMatches}
+              onStop={() => stopSequencePlayback()}
+            />
 
             {/* Reverb Control */}
             <div className="space-y-2">
@@ -665,6 +1302,17 @@ const PhylogeneticViewer = ({
                 />
                 Light theme
               </label>
+              <label className="flex items-center gap-2 text-sm cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showMinimap}
+                  onChange={(e) => setShowMinimap(e.target.checked)}
+                  className={`rounded ${theme === 'light' 
+                    ? 'bg-white border-gray-300' 
+                    : 'bg-gray-800 border-gray-700'}`}
+                />
+                Show minimap
+              </label>
             </div>
 
             {/* Add Polyphony Control */}
@@ -684,6 +1332,151 @@ const PhylogeneticViewer = ({
               </div>
             </div>
 
+            {/* Spatialization */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Spatial Audio</label>
+              <select
+                value={spatialMode}
+                onChange={(e) => setSpatialMode(e.target.value)}
+                className="w-full px-2 py-1 bg-gray-800 text-white rounded text-sm"
+                title="Place sounds by where their nodes are in the view, relative to its centre"
+              >
+                {Object.entries(SPATIAL_MODES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Layout */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Layout</label>
+              <select
+                value={layout}
+                onChange={(e) => setLayout(e.target.value)}
+                className="w-full px-2 py-1 bg-gray-800 text-white rounded text-sm"
+              >
+                {Object.entries(TREE_LAYOUTS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <label className="text-sm font-medium">Labels</label>
+              <select
+                value={labelMode}
+                onChange={(e) => setLabelMode(e.target.value)}
+                disabled={isPartitionLayout(layout)}
+                className="w-full px-2 py-1 bg-gray-800 text-white rounded text-sm disabled:opacity-50"
+                title={isPartitionLayout(layout) ? 'Not available for partition layouts' : 'Class names next to nodes; zoom in to reveal more'}
+              >
+                {Object.entries(LABEL_MODES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Node encodings */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Color By</label>
+              <select
+                value={effectiveColorBy}
+                onChange={(e) => setColorBy(e.target.value)}
+                className="w-full px-2 py-1 bg-gray-800 text-white rounded text-sm"
+              >
+                {Object.entries(NODE_ENCODINGS)
+                  .filter(([value]) => value !== 'run' || isComparing)
+                  .map(([value, { label }]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+              </select>
+              <label className="text-sm font-medium">Size By</label>
+              <select
+                value={sizeBy}
+                onChange={(e) => setSizeBy(e.target.value)}
+                className="w-full px-2 py-1 bg-gray-800 text-white rounded text-sm"
+              >
+                {SIZE_ENCODINGS.map(value => (
+                  <option key={value} value={value}>{value === 'none' ? 'Uniform' : NODE_ENCODINGS[value].label}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Collapsing subtrees */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Subtrees</label>
+              <div className="flex items-center gap-2 text-sm">
+                <span>Below depth</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={collapseDepth}
+                  onChange={(e) => setCollapseDepth(Math.max(0, Number(e.target.value)))}
+                  className="w-16 px-2 py-1 bg-gray-800 text-white rounded border border-gray-700"
+                />
+                <button
+                  onClick={collapseBelowDepth}
+                  className="flex-1 px-2 py-1 bg-gray-800 hover:bg-gray-700 text-white rounded"
+                >
+                  Collapse
+                </button>
+              </div>
+              <button
+                onClick={() => setCollapsedIds(new Set())}
+                disabled={collapsedIds.size === 0}
+                className="w-full px-2 py-1 bg-gray-800 hover:bg-gray-700 disabled:text-gray-500 text-white rounded text-sm"
+              >
+                Expand all ({collapsedIds.size} collapsed)
+              </button>
+            </div>
+
+            {/* Rendering backend */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Renderer</label>
+              <select
+                value={rendererMode}
+                onChange={(e) => setRendererMode(e.target.value)}
+                className="w-full px-2 py-1 bg-gray-800 text-white rounded text-sm"
+              >
+                <option value="auto">Auto (canvas above {CANVAS_NODE_THRESHOLD} nodes)</option>
+                <option value="svg">SVG</option>
+                <option value="canvas">Canvas</option>
+              </select>
+            </div>
+
+            {/* Context switch pruning */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Context Switch Pruning</label>
+              <select
+                value={contextSwitchMode}
+                onChange={(e) => setContextSwitchMode(e.target.value)}
+                className="w-full px-2 py-1 bg-gray-800 text-white rounded text-sm"
+              >
+                <option value="off">Off</option>
+                <option value="musical">Musical / non-musical</option>
+                <option value="partitions">Class groups</option>
+              </select>
+              {contextSwitchMode === 'partitions' && (
+                <ClassPartitionEditor
+                  partitions={classPartitions}
+                  onChange={setClassPartitions}
+                />
+              )}
+            </div>
+
+            {/* Crossover (multi-parent) links */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Lineage</label>
+              <label className="flex items-center gap-2 text-sm cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={showSecondaryParents}
+                  onChange={(e) => setShowSecondaryParents(e.target.checked)}
+                  className={`rounded ${theme === 'light' 
+                    ? 'bg-white border-gray-300' 
+                    : 'bg-gray-800 border-gray-700'}`}
+                />
+                Show crossover parent links
+              </label>
+            </div>
+
             {/* Add Silent Mode Control */}
             <div className="space-y-2">
               <label className="text-sm font-medium">Navigation Mode</label>
@@ -707,10 +1500,18 @@ const PhylogeneticViewer = ({
       <div className="flex-1 relative">
         <div 
           ref={containerRef} 
-          className="absolute inset-0"
+          className="absolute inset-0 focus:outline-none"
           onClick={handleClick}
+          onKeyDown={handleTreeKeyDown}
+          tabIndex={0}
+          role="application"
+          aria-label="Phylogenetic tree. Arrow keys move between nodes, Enter plays the focused node, Space selects its lineage."
         />
 
+        <div className="sr-only" role="status" aria-live="polite">
+          {announcement}
+        </div>
+
         {/* Add tooltip div */}
         {tooltip.show && (
           <div
@@ -723,8 +1524,91 @@ const PhylogeneticViewer = ({
           />
         )}
 
+        <div className="absolute top-2 right-2 z-30 flex flex-col items-end gap-2">
+          {showMinimap && minimapBounds && (
+            <Minimap
+              ref={minimapRef}
+              bounds={minimapBounds}
+              drawContent={drawMinimapTree}
+              drawHighlights={drawMinimapPlaying}
+              onNavigate={navigateToPoint}
+            />
+          )}
+
+          {inspectedNode && (
+            <NodeInspector
+              title={inspectedNode.data.name || inspectedNode.data.id}
+              metadata={inspectorMetadata}
+              audioUrl={getSoundUrl(inspectedNode)}
+              audioContext={audioEngine.audioContext}
+              destination={audioEngine.inspectorOutput}
+              units={units}
+              onSendToUnit={onSendSoundToUnit && ((unitId) => onSendSoundToUnit(unitId, {
+                name: inspectedNode.data.name || inspectedNode.data.id,
+                genomeId: inspectedNode.data.id,
+                url: getSoundUrl(inspectedNode)
+              }))}
+              onDownload={() => downloadNodeSound(inspectedNode)}
+              onClose={() => setShowInspector(false)}
+            />
+          )}
+        </div>
+
+        {focusPath && (
+          <div className="absolute top-2 left-2 z-40">
+            <FocusBreadcrumbs
+              path={focusPath}
+              onSelect={focusOn}
+              onClose={() => focusOn(null)}
+            />
+          </div>
+        )}
+
+        {selectedLineage && (
+          <div className="absolute bottom-10 left-2 z-40">
+            <LineagePanel
+              lineage={selectedLineage}
+              includeDescendants={includeDescendants}
+              onIncludeDescendantsChange={setIncludeDescendants}
+              lineageGap={lineageGap}
+              onLineageGapChange={setLineageGap}
+              isPlaying={playingLineageIndex !== null}
+              playingIndex={playingLineageIndex}
+              onPlay={playLineage}
+              onStop={() => stopSequencePlayback()}
+              onSelectAncestor={(d) => focusNode(d.data.id)}
+              onFocus={() => focusOn(selectedNodeId)}
+              onCollapse={selectedLineage[selectedLineage.length - 1].children ?
+                () => toggleCollapsed(selectedNodeId)
+                : null}
+              onClose={() => setSelectedNodeId(null)}
+            />
+          </div>
+        )}
+
+        {growthExtent && (
+          <div className="absolute bottom-8 left-1/2 -translate-x-1/2 z-40">
+            <GrowthTimeline
+              generation={growthGeneration}
+              extent={growthExtent}
+              isPlaying={isGrowing}
+              onPlay={playGrowth}
+              onPause={pauseGrowth}
+              onGenerationChange={scrubGrowth}
+              onShowAll={() => {
+                pauseGrowth();
+                setGrowthGeneration(null);
+              }}
+              duration={growthDuration}
+              onDurationChange={setGrowthDuration}
+              sonify={sonifyGrowth}
+              onSonifyChange={setSonifyGrowth}
+            />
+          </div>
+        )}
+
         <div className="absolute bottom-2 left-2 text-white/70 text-xs flex items-center gap-2">
-          <span>Hover: {silentMode ? 'navigation only' : 'play sound'} • Double-click: download</span>
+          <span>Hover: {silentMode ? 'navigation only' : 'play sound'} • Click: select lineage • Shift-click: collapse • Double-click: download • Arrows: move • Enter: play • Space: select</span>
           {silentMode && (
             <span className="px-1.5 py-0.5 bg-gray-800/80 rounded text-xs">
               Silent Mode
@@ -735,7 +1619,7 @@ const PhylogeneticViewer = ({
         {!hasAudioInteraction && (
         <div className="absolute inset-0 flex items-center justify-center bg-black/50 backdrop-blur-sm z-20">
           <div className="bg-gray-800/90 px-4 py-3 rounded text-white text-sm">
-            Click anywhere to enable audio playback
+            Click anywhere or press Enter to enable audio playback
           </div>
         </div>
       )}
@@ -0,0 +1,184 @@
+const DB_NAME = 'lineage-sounds';
+const DB_VERSION = 1;
+const MAX_CONCURRENT_PREFETCHES = 4;
+
+// Opens the database once; resolves to null where IndexedDB isn't available, so the cache falls back to the network
+function openDatabase() {
+  return new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      // The WAV bytes and their bookkeeping live apart, so pruning never has to read the audio
+      db.createObjectStore('samples');
+      db.createObjectStore('usage', { keyPath: 'url' }).createIndex('lastUsed', 'lastUsed');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.error('Error opening the sample cache database:', request.error);
+      resolve(null);
+    };
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Decoded samples shared by everything that plays or inspects sounds. Decoded buffers are kept in memory
+// up to a byte budget, least recently used first out; downloaded WAVs are also kept in IndexedDB, under
+// their own budget, so they survive reloads. Concurrent requests for one URL share a single download.
+class SampleCache {
+  constructor({ maxBytes = 128 * 1024 * 1024, maxStoredBytes = 512 * 1024 * 1024 } = {}) {
+    this.maxBytes = maxBytes;
+    this.maxStoredBytes = maxStoredBytes;
+    this.buffers = new Map();  // url -> { buffer, bytes }, in order of last use
+    this.bytes = 0;
+    this.pending = new Map();  // url -> promise of the decoded buffer
+    this.prefetching = 0;
+    this.db = null;
+  }
+
+  has(url) {
+    return this.buffers.has(url);
+  }
+
+  // Resolves to the decoded AudioBuffer of url; AudioBuffers aren't tied to the context that decoded them
+  get(url, context) {
+    const cached = this.buffers.get(url);
+    if (cached) {
+      this.buffers.delete(url);
+      this.buffers.set(url, cached);
+      return Promise.resolve(cached.buffer);
+    }
+    if (this.pending.has(url)) return this.pending.get(url);
+
+    const promise = this.load(url, context)
+      .then(buffer => {
+        this.add(url, buffer);
+        return buffer;
+      })
+      .finally(() => this.pending.delete(url));
+    this.pending.set(url, promise);
+    return promise;
+  }
+
+  // Warm the cache with sounds likely to be played next; failures are ignored and at most a few run at once
+  prefetch(urls, context) {
+    urls.forEach(url => {
+      if (!url || this.buffers.has(url) || this.pending.has(url)) return;
+      if (this.prefetching >= MAX_CONCURRENT_PREFETCHES) return;
+      this.prefetching++;
+      this.get(url, context)
+        .catch(() => {})
+        .finally(() => this.prefetching--);
+    });
+  }
+
+  clear() {
+    this.buffers.clear();
+    this.bytes = 0;
+  }
+
+  async load(url, context) {
+    let data = await this.readStored(url);
+    if (!data) {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+      data = await response.arrayBuffer();
+      // decodeAudioData detaches the bytes, so a copy is stored
+      this.store(url, data.slice(0));
+    }
+    return context.decodeAudioData(data);
+  }
+
+  add(url, buffer) {
+    const bytes = buffer.length * buffer.numberOfChannels * 4;
+    this.buffers.set(url, { buffer, bytes });
+    this.bytes += bytes;
+    for (const [oldUrl, entry] of this.buffers) {
+      if (this.bytes <= this.maxBytes || oldUrl === url) break;
+      this.buffers.delete(oldUrl);
+      this.bytes -= entry.bytes;
+    }
+  }
+
+  // Locally loaded runs use blob: URLs, which are already in memory and don't outlive the session
+  isStorable(url) {
+    return /^https?:/.test(url);
+  }
+
+  async database() {
+    if (!this.db) this.db = openDatabase();
+    return this.db;
+  }
+
+  async readStored(url) {
+    if (!this.isStorable(url)) return null;
+    try {
+      const db = await this.database();
+      if (!db) return null;
+      const transaction = db.transaction(['samples', 'usage'], 'readwrite');
+      const request = transaction.objectStore('samples').get(url);
+      const usage = transaction.objectStore('usage');
+      request.onsuccess = () => {
+        if (request.result) usage.put({ url, bytes: request.result.byteLength, lastUsed: Date.now() });
+      };
+      await transactionDone(transaction);
+      return request.result || null;
+    } catch (error) {
+      console.error('Error reading from the sample cache:', error);
+      return null;
+    }
+  }
+
+  async store(url, data) {
+    if (!this.isStorable(url)) return;
+    try {
+      const db = await this.database();
+      if (!db) return;
+      const transaction = db.transaction(['samples', 'usage'], 'readwrite');
+      transaction.objectStore('samples').put(data, url);
+      transaction.objectStore('usage').put({ url, bytes: data.byteLength, lastUsed: Date.now() });
+      await transactionDone(transaction);
+      await this.prune(db);
+    } catch (error) {
+      console.error('Error writing to the sample cache:', error);
+    }
+  }
+
+  // Drop the least recently used WAVs until the stored ones fit the budget
+  async prune(db) {
+    const transaction = db.transaction(['samples', 'usage'], 'readwrite');
+    const samples = transaction.objectStore('samples');
+    const usage = transaction.objectStore('usage');
+    const entries = [];
+    const request = usage.index('lastUsed').openCursor(null, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        let total = 0;
+        entries.forEach(entry => {
+          total += entry.bytes;
+          if (total > this.maxStoredBytes) {
+            samples.delete(entry.url);
+            usage.delete(entry.url);
+          }
+        });
+        return;
+      }
+      entries.push(cursor.value);
+      cursor.continue();
+    };
+    await transactionDone(transaction);
+  }
+}
+
+export default SampleCache;
@@ -1,5 +1,7 @@
 import React, { useEffect, useRef, forwardRef, useImperativeHandle } from 'react';
 import { useStrudelPattern } from './useStrudelPattern';
+import { useAudioManager } from './useAudioManager';
+import { routeStrudelOutput } from './strudel-output';
 import '@strudel/repl';
 
 const StrudelEditor = forwardRef(({ 
@@ -21,6 +23,7 @@ const StrudelEditor = forwardRef(({
     registerReplInstance,
     unregisterReplInstance
   } = useStrudelPattern(unitId);
+  const { manager: audioManager } = useAudioManager();
 
   useEffect(() => {
     let editor = null;
@@ -49,6 +52,12 @@ const StrudelEditor = forwardRef(({
           };
           
           editor.editor.repl.setCode(pattern || initialCode);
+
+          // Superdough has one output for all patterns; it plays on the channel of the unit whose editor is
+          // open, which is one unit at a time
+          Promise.resolve(editor.editor.prebaked)
+            .then(() => routeStrudelOutput(audioManager.context, audioManager.channel(`unit-${unitId}`)))
+            .catch(error => console.error('Error routing Strudel output:', error));
           
           onEditorReady(editor.editor);
         }
@@ -0,0 +1,58 @@
+import { useState, useMemo } from 'react';
+import { GitCompare, ChevronUp, ChevronDown } from 'lucide-react';
+import { DIFF_COLORS, countDiffNodes, diffTreeClasses } from './tree-diff';
+
+const ClassList = ({ title, classes, color }) => (
+  <div className="space-y-1">
+    <div className="text-xs font-medium" style={{ color }}>{title} ({classes.length})</div>
+    <div className="flex flex-wrap gap-1">
+      {classes.map(c => (
+        <span key={c} className="px-1.5 py-0.5 rounded-sm bg-gray-800 text-xs text-gray-300">{c}</span>
+      ))}
+    </div>
+  </div>
+);
+
+const TreeDiffPanel = ({ mergedTree, treeA, treeB, labelA, labelB }) => {
+  const [isOpen, setIsOpen] = useState(true);
+
+  const counts = useMemo(() => countDiffNodes(mergedTree), [mergedTree]);
+  const classDiff = useMemo(() => diffTreeClasses(treeA, treeB), [treeA, treeB]);
+
+  return (
+    <div className="bg-gray-900/95 backdrop-blur text-white rounded shadow-lg w-64">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center gap-2 px-3 py-2 text-sm"
+      >
+        <GitCompare size={14} />
+        <span className="flex-1 text-left">Compare</span>
+        {isOpen ? <ChevronDown size={14} /> : <ChevronUp size={14} />}
+      </button>
+
+      {isOpen && (
+        <div className="px-3 pb-3 space-y-3 max-h-80 overflow-y-auto">
+          <div className="space-y-1 text-xs">
+            {[
+              ['shared', 'Shared'],
+              ['a', `Only in A: ${labelA}`],
+              ['b', `Only in B: ${labelB}`]
+            ].map(([diff, label]) => (
+              <div key={diff} className="flex items-center gap-2">
+                <span className="w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: DIFF_COLORS[diff] }} />
+                <span className="flex-1 truncate" title={label}>{label}</span>
+                <span className="text-gray-400">{counts[diff]}</span>
+              </div>
+            ))}
+          </div>
+
+          <ClassList title="Classes only in A" classes={classDiff.onlyInA} color={DIFF_COLORS.a} />
+          <ClassList title="Classes only in B" classes={classDiff.onlyInB} color={DIFF_COLORS.b} />
+          <div className="text-xs text-gray-400">{classDiff.shared.length} classes discovered by both</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TreeDiffPanel;
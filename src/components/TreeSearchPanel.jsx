@@ -0,0 +1,81 @@
+import { ChevronUp, ChevronDown, Maximize2, Play, Square } from 'lucide-react';
+
+const QUERY_HELP = 'Terms are ANDed; combine with OR, NOT, -term and ( ).\n' +
+  'class:Guitar  class:/^gui/i  /regex/  id:01HAP  musical:true\n' +
+  's>0.8  gN:100..500  duration<2  noteDelta=0  velocity>=0.5  uBC:3';
+
+// Search query input with the match counter, match stepping, zoom to matches and match playback
+const TreeSearchPanel = ({
+  query,
+  onQueryChange,
+  error,
+  matchCount,
+  matchIndex,
+  onStep,
+  onZoomToMatches,
+  isPlaying,
+  onPlay,
+  onStop
+}) => (
+  <div className="space-y-2">
+    <label className="text-sm font-medium">Search</label>
+    <input
+      type="text"
+      value={query}
+      onChange={(e) => onQueryChange(e.target.value)}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') onStep(e.shiftKey ? -1 : 1);
+      }}
+      placeholder="class:Guitar s>0.8 gN:100..500"
+      title={QUERY_HELP}
+      className={`w-full px-3 py-1.5 text-sm bg-gray-800 text-white rounded border focus:outline-none
+        ${error ? 'border-red-500' : 'border-gray-700 focus:border-blue-500'}`}
+    />
+    {error && <div className="text-xs text-red-400">{error}</div>}
+
+    {query.trim() && !error && (
+      <div className="flex items-center gap-1 text-xs">
+        <span className="flex-1 text-gray-400">
+          {matchCount} {matchCount === 1 ? 'match' : 'matches'}
+          {matchIndex !== null && ` (${matchIndex + 1}/${matchCount})`}
+        </span>
+        <button
+          onClick={() => onStep(-1)}
+          disabled={matchCount === 0}
+          className="p-1 rounded-sm hover:bg-gray-700 disabled:opacity-50"
+          title="Previous match (Shift+Enter)"
+        >
+          <ChevronUp size={14} />
+        </button>
+        <button
+          onClick={() => onStep(1)}
+          disabled={matchCount === 0}
+          className="p-1 rounded-sm hover:bg-gray-700 disabled:opacity-50"
+          title="Next match (Enter)"
+        >
+          <ChevronDown size={14} />
+        </button>
+        <button
+          onClick={onZoomToMatches}
+          disabled={matchCount === 0}
+          className="p-1 rounded-sm hover:bg-gray-700 disabled:opacity-50"
+          title="Zoom to matches"
+        >
+          <Maximize2 size={14} />
+        </button>
+        <button
+          onClick={isPlaying ? onStop : onPlay}
+          disabled={matchCount === 0}
+          className={`px-2 py-1 rounded-sm flex items-center gap-1 text-white disabled:opacity-50
+            ${isPlaying ? 'bg-red-600' : 'bg-green-600'}`}
+          title="Play matches in order of generation"
+        >
+          {isPlaying ? <Square size={12} /> : <Play size={12} />}
+          {isPlaying ? 'Stop' : 'Play'}
+        </button>
+      </div>
+    )}
+  </div>
+);
+
+export default TreeSearchPanel;
@@ -0,0 +1,90 @@
+import { useState, useMemo } from 'react';
+import { BarChart3, ChevronUp, ChevronDown } from 'lucide-react';
+import { computeTreeStatistics, treeStatisticsToCSV } from './tree-statistics';
+import { downloadFile } from './phylogenetic-tree-common';
+
+const StatRow = ({ label, value }) => (
+  <div className="flex justify-between text-xs">
+    <span className="text-gray-400">{label}</span>
+    <span>{typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : value}</span>
+  </div>
+);
+
+// In compare mode tree is the merged tree of both runs, and evoRunId names both
+const TreeStatisticsPanel = ({ tree, evoRunId, merged = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const statistics = useMemo(() => tree ? computeTreeStatistics(tree) : null, [tree]);
+
+  if (!statistics) return null;
+
+  const handleExportJSON = () => {
+    downloadFile(
+      JSON.stringify({ evoRunId, ...statistics }, null, 2),
+      `tree-statistics-${evoRunId}.json`,
+      'application/json'
+    );
+  };
+
+  const handleExportCSV = () => {
+    downloadFile(treeStatisticsToCSV(statistics), `tree-statistics-${evoRunId}.csv`, 'text/csv');
+  };
+
+  return (
+    <div className="bg-gray-900/95 backdrop-blur text-white rounded shadow-lg w-64">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center gap-2 px-3 py-2 text-sm"
+      >
+        <BarChart3 size={14} />
+        <span className="flex-1 text-left">{merged ? 'Merged Tree Statistics' : 'Tree Statistics'}</span>
+        {isOpen ? <ChevronDown size={14} /> : <ChevronUp size={14} />}
+      </button>
+
+      {isOpen && (
+        <div className="px-3 pb-3 space-y-3">
+          <div className="space-y-1">
+            <StatRow label="Nodes" value={statistics.nodeCount} />
+            <StatRow label="Leaves" value={statistics.leafCount} />
+            <StatRow label="Max depth" value={statistics.maxDepth} />
+            <StatRow label="Mean depth" value={statistics.meanDepth} />
+            <StatRow label="Mean lineage length (gN)" value={statistics.meanLineageLength} />
+            <StatRow label="Sackin index" value={statistics.sackinIndex} />
+            <StatRow label="Colless index" value={statistics.collessIndex} />
+          </div>
+
+          <div className="space-y-1">
+            <div className="text-xs font-medium">Context switches</div>
+            <StatRow label="Musical → non-musical" value={statistics.contextSwitches.musicalToNonMusical} />
+            <StatRow label="Non-musical → musical" value={statistics.contextSwitches.nonMusicalToMusical} />
+            <StatRow label="Total" value={statistics.contextSwitches.total} />
+          </div>
+
+          <div className="space-y-1">
+            <div className="text-xs font-medium">Branching factor distribution</div>
+            {Object.entries(statistics.branchingFactorDistribution).map(([branchingFactor, count]) => (
+              <StatRow key={branchingFactor} label={`${branchingFactor} children`} value={count} />
+            ))}
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleExportJSON}
+              className="flex-1 px-2 py-1 text-xs rounded bg-gray-800 hover:bg-gray-700"
+            >
+              Export JSON
+            </button>
+            <button
+              onClick={handleExportCSV}
+              className="flex-1 px-2 py-1 text-xs rounded bg-gray-800 hover:bg-gray-700"
+            >
+              Export CSV
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TreeStatisticsPanel;
@@ -5,6 +5,7 @@ import ChuckEditor from './ChuckEditor';
 import { DEFAULT_STRUDEL_CODE } from '../constants';
 import '@strudel/repl';
 import { useStrudelPattern } from './useStrudelPattern';
+import { useAudioManager } from './useAudioManager';
 
 const Slider = ({ label, value, onChange, min = 0, max = 1, step = 0.01, centered = false }) => (
   <div className="space-y-1">
@@ -55,6 +56,7 @@ const UnitConfigPanel = ({ unit, units, onClose, onUpdateUnit }) => {
   const [liveCodeEngine, setLiveCodeEngine] = useState(unit.liveCodeEngine || 'Strudel');
   const editorRef = useRef(null);
   const [isCollapsed, setIsCollapsed] = useState(false);
+  const audioEngine = useAudioManager();
   
   const {
     debugLog,
@@ -121,6 +123,12 @@ const UnitConfigPanel = ({ unit, units, onClose, onUpdateUnit }) => {
     onUpdateUnit(unit.id, { ...unit, [key]: value });
   };
 
+  // Previews go through the unit's channel so they follow its volume, mute and solo
+  const handlePreviewSample = async () => {
+    await audioEngine.resume();
+    audioEngine.playSound(unit.sample.url, { i: 'unit', j: unit.id }, { channel: `unit-${unit.id}` });
+  };
+
   // Cleanup when component unmounts or unit changes
   useEffect(() => {
     return () => {
@@ -205,6 +213,29 @@ const UnitConfigPanel = ({ unit, units, onClose, onUpdateUnit }) => {
           {activeTab === 'Sampler' && (
             <>
               <CollapsibleSection title="Sample">
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="flex-1 truncate text-gray-300" title={unit.sample?.genomeId}>
+                    {unit.sample ? unit.sample.name : 'No sample, send one from the inspector'}
+                  </span>
+                  {unit.sample && (
+                    <button
+                      onClick={handlePreviewSample}
+                      className="text-gray-400 hover:text-white"
+                      title="Play sample"
+                    >
+                      <Play size={14} />
+                    </button>
+                  )}
+                  {unit.sample && (
+                    <button
+                      onClick={() => handleValueChange('sample', null)}
+                      className="text-gray-400 hover:text-white"
+                      title="Clear sample"
+                    >
+                      <X size={14} />
+                    </button>
+                  )}
+                </div>
                 <Slider 
                   label="Pitch" 
                   value={unit.pitch || 0} 
@@ -0,0 +1,55 @@
+import { useState } from 'react';
+import { AlertTriangle, ChevronUp, ChevronDown } from 'lucide-react';
+
+const SEVERITY_COLORS = {
+  error: 'text-red-400',
+  warning: 'text-amber-400'
+};
+
+const ValidationReportPanel = ({ findings, onSelectFinding }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const errorCount = findings.filter(f => f.severity === 'error').length;
+  const warningCount = findings.length - errorCount;
+
+  return (
+    <div className="bg-gray-900/95 backdrop-blur text-white rounded shadow-lg w-64">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center gap-2 px-3 py-2 text-sm"
+      >
+        <AlertTriangle size={14} className={findings.length > 0 ? SEVERITY_COLORS[errorCount > 0 ? 'error' : 'warning'] : ''} />
+        <span className="flex-1 text-left">Validation</span>
+        <span className="text-xs text-gray-400">
+          {findings.length > 0 ? `${errorCount} errors, ${warningCount} warnings` : 'OK'}
+        </span>
+        {isOpen ? <ChevronDown size={14} /> : <ChevronUp size={14} />}
+      </button>
+
+      {isOpen && (
+        <div className="px-3 pb-3">
+          {findings.length === 0 ? (
+            <div className="text-xs text-gray-400">No issues found</div>
+          ) : (
+            <div className="space-y-1 max-h-60 overflow-y-auto">
+              {findings.map((finding, i) => (
+                <button
+                  key={i}
+                  onClick={() => finding.nodeId && onSelectFinding(finding)}
+                  className="w-full text-left p-1 rounded text-xs bg-gray-800/50 hover:bg-gray-700"
+                  title={finding.nodeId ? 'Zoom to node' : undefined}
+                >
+                  <span className={SEVERITY_COLORS[finding.severity]}>{finding.type}</span>
+                  {' '}
+                  <span className="text-gray-300 break-all">{finding.message}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ValidationReportPanel;
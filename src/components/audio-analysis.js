@@ -0,0 +1,81 @@
+// Waveform and spectrogram data computed from decoded samples (e.g. AudioBuffer.getChannelData(0))
+
+// Min and max sample for each of `columns` equal slices, interleaved as [min0, max0, min1, max1, ...]
+export function waveformPeaks(samples, columns) {
+  const peaks = new Float32Array(columns * 2);
+  const samplesPerColumn = samples.length / columns;
+  for (let column = 0; column < columns; column++) {
+    const start = Math.floor(column * samplesPerColumn);
+    const end = Math.max(start + 1, Math.floor((column + 1) * samplesPerColumn));
+    let min = 0;
+    let max = 0;
+    for (let i = start; i < end && i < samples.length; i++) {
+      if (samples[i] < min) min = samples[i];
+      if (samples[i] > max) max = samples[i];
+    }
+    peaks[column * 2] = min;
+    peaks[column * 2 + 1] = max;
+  }
+  return peaks;
+}
+
+// In-place radix-2 FFT; the length of re and im must be a power of two
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tre = re[b] * cos - im[b] * sin;
+        const tim = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tre;
+        im[b] = im[a] - tim;
+        re[a] += tre;
+        im[a] += tim;
+      }
+    }
+  }
+}
+
+// Magnitudes in dB of Hann-windowed frames centred on `frames` evenly spaced points.
+// Returns { frames: Float32Array[] of fftSize / 2 bins each, maxDb }
+export function spectrogram(samples, { fftSize = 512, frames = 200 } = {}) {
+  const window = Float32Array.from({ length: fftSize }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (fftSize - 1)));
+  const re = new Float32Array(fftSize);
+  const im = new Float32Array(fftSize);
+  const result = [];
+  let maxDb = -Infinity;
+
+  for (let frame = 0; frame < frames; frame++) {
+    const center = Math.floor((frame + 0.5) * samples.length / frames);
+    const offset = center - fftSize / 2;
+    for (let i = 0; i < fftSize; i++) {
+      re[i] = (samples[offset + i] || 0) * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    const magnitudes = new Float32Array(fftSize / 2);
+    for (let bin = 0; bin < fftSize / 2; bin++) {
+      const db = 20 * Math.log10(Math.hypot(re[bin], im[bin]) / fftSize + 1e-10);
+      magnitudes[bin] = db;
+      if (db > maxDb) maxDb = db;
+    }
+    result.push(magnitudes);
+  }
+
+  return { frames: result, maxDb };
+}
@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// Provided by AudioEngineProvider, read through useAudioManager
+export const AudioEngineContext = createContext(null);
@@ -0,0 +1,71 @@
+// Offline bounces: the events of a unit arrangement, and WAV files of rendered audio
+
+const BEATS_PER_BAR = 4;
+
+// Length in beats of one step of a sequence pattern like '1/4' (a quarter note is one beat)
+function stepBeats(pattern = '1/4') {
+  const [numerator, denominator] = pattern.split('/').map(Number);
+  const beats = BEATS_PER_BAR * numerator / denominator;
+  return beats > 0 && Number.isFinite(beats) ? beats : 1;
+}
+
+// Events for AudioManager.renderOffline playing the active units' samples for `bars` bars at `bpm`.
+// Sequence units play on every step of their pattern, other units once per bar; pitch (semitones)
+// and start (fraction of the sound) come from the Sampler settings. Returns { events, duration } in seconds.
+export function arrangeUnits(units, { bars = 4, bpm = 120 } = {}) {
+  const secondsPerBeat = 60 / bpm;
+  const duration = bars * BEATS_PER_BAR * secondsPerBeat;
+  const events = [];
+  units.filter(unit => unit.active && unit.sample).forEach(unit => {
+    const interval = (unit.pattern ? stepBeats(unit.pattern) : BEATS_PER_BAR) * secondsPerBeat;
+    const playbackRate = Math.pow(2, (unit.pitch || 0) / 12);
+    for (let time = 0; time < duration - 1e-9; time += interval) {
+      events.push({ time, url: unit.sample.url, channel: `unit-${unit.id}`, playbackRate, offset: unit.start || 0 });
+    }
+  });
+  return { events, duration };
+}
+
+// PCM WAV of an AudioBuffer at the given bit depth (16 or 24), samples clipped to [-1, 1]
+export function encodeWav(buffer, bitDepth = 24) {
+  const bytesPerSample = bitDepth / 8;
+  const channels = buffer.numberOfChannels;
+  const blockAlign = channels * bytesPerSample;
+  const dataSize = buffer.length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);  // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channelData = Array.from({ length: channels }, (_, channel) => buffer.getChannelData(channel));
+  const max = Math.pow(2, bitDepth - 1) - 1;
+  let offset = 44;
+  for (let i = 0; i < buffer.length; i++) {
+    for (let channel = 0; channel < channels; channel++) {
+      const value = Math.round(Math.max(-1, Math.min(1, channelData[channel][i])) * max);
+      if (bitDepth === 24) {
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      } else {
+        view.setInt16(offset, value, true);
+      }
+      offset += bytesPerSample;
+    }
+  }
+  return new Blob([view], { type: 'audio/wav' });
+}
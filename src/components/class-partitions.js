@@ -0,0 +1,86 @@
+import { yamnetTags_musical, yamnetTags_non_musical } from './yamnetMusicalTags.js';
+import { normalizeClassName } from './phylogenetic-tree-common.js';
+
+export const ALL_YAMNET_TAGS = [...new Set([...yamnetTags_musical, ...yamnetTags_non_musical])];
+
+// Default sound families, taken from the sections of the YAMNet tag lists
+export const DEFAULT_CLASS_PARTITIONS = [
+  {
+    name: 'Percussion',
+    tags: [
+      "Percussion", "Drum kit", "Drum machine", "Drum", "Snare drum", "Rimshot",
+      "Drum roll", "Bass drum", "Timpani", "Tabla", "Cymbal", "Hi-hat", "Wood block",
+      "Tambourine", "Rattle (instrument)", "Maraca", "Gong", "Tubular bells",
+      "Mallet percussion", "Marimba, xylophone", "Glockenspiel", "Vibraphone", "Steelpan"
+    ]
+  },
+  {
+    name: 'Strings',
+    tags: [
+      "Plucked string instrument", "Guitar", "Electric guitar", "Bass guitar",
+      "Acoustic guitar", "Steel guitar, slide guitar", "Tapping (guitar technique)",
+      "Strum", "Banjo", "Sitar", "Mandolin", "Zither", "Ukulele",
+      "Bowed string instrument", "String section", "Violin, fiddle", "Pizzicato",
+      "Cello", "Double bass", "Harp"
+    ]
+  },
+  {
+    name: 'Keyboards',
+    tags: [
+      "Keyboard (musical)", "Piano", "Electric piano", "Organ", "Electronic organ",
+      "Hammond organ", "Synthesizer", "Sampler", "Harpsichord"
+    ]
+  },
+  {
+    name: 'Winds and brass',
+    tags: [
+      "Brass instrument", "French horn", "Trumpet", "Trombone",
+      "Wind instrument, woodwind instrument", "Flute", "Saxophone", "Clarinet",
+      "Harmonica", "Accordion", "Bagpipes", "Didgeridoo", "Shofar"
+    ]
+  },
+  {
+    name: 'Singing',
+    tags: [
+      "Singing", "Choir", "Yodeling", "Chant", "Mantra", "Child singing",
+      "Synthetic singing", "Rapping", "Humming", "Whistling", "Beatboxing"
+    ]
+  },
+  {
+    name: 'Speech',
+    tags: [
+      "Speech", "Child speech, kid speaking", "Conversation", "Narration, monologue",
+      "Babbling", "Speech synthesizer", "Shout", "Yell", "Whispering", "Laughter"
+    ]
+  },
+  {
+    name: 'Environmental',
+    tags: [
+      "Wind", "Rustling leaves", "Thunderstorm", "Thunder", "Water", "Rain",
+      "Raindrop", "Rain on surface", "Stream", "Waterfall", "Ocean", "Waves, surf",
+      "Steam", "Gurgling", "Fire", "Crackle"
+    ]
+  },
+  {
+    name: 'Animals',
+    tags: [
+      "Animal", "Dog", "Cat", "Horse", "Bird", "Insect", "Frog", "Whale vocalization"
+    ]
+  },
+  {
+    name: 'Vehicles and machines',
+    tags: [
+      "Vehicle", "Car", "Truck", "Train", "Aircraft", "Engine", "Mechanisms",
+      "Tools", "Power tool", "Drill", "Siren", "Alarm"
+    ]
+  }
+];
+
+// Name of the first partition with a tag matching the class (same matching as isMusicalClass). A class not
+// covered by any partition is a group of its own, so it's only merged with nodes of the same class.
+export function getClassPartition(className, partitions) {
+  if (!className) return null;
+  const normalizedName = normalizeClassName(className);
+  const partition = partitions.find(p => p.tags.some(tag => normalizedName.includes(tag)));
+  return partition ? partition.name : `class:${normalizedName}`;
+}
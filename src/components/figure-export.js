@@ -0,0 +1,275 @@
+import * as d3 from 'd3';
+
+// Raster figures for publication: a title block, the content of a view and its color legend,
+// rendered at a chosen DPI and saved as PNG (with the DPI in its metadata) or as a single page PDF.
+
+export const EXPORT_DPI_OPTIONS = [96, 150, 300, 600];
+
+const CSS_DPI = 96;
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_PIXELS = 8192 * 8192;
+const PADDING = 16;
+const TITLE_HEIGHT = 44;
+const LEGEND_WIDTH = 200;
+const LEGEND_ROW_HEIGHT = 14;
+const MAX_LEGEND_CATEGORIES = 20;
+
+const FIGURE_COLORS = {
+  dark: { background: '#030712', text: '#f9fafb', muted: '#9ca3af' },
+  light: { background: '#f3f4f6', text: '#111827', muted: '#4b5563' }
+};
+
+const formatValue = d3.format('.3~g');
+
+function legendHeight(legend) {
+  if (!legend) return 0;
+  let height = 0;
+  if (legend.color) {
+    height += LEGEND_ROW_HEIGHT;
+    if (legend.color.type === 'sequential') {
+      height += 12 + LEGEND_ROW_HEIGHT;
+    } else {
+      const rows = Math.min(legend.color.entries.length, MAX_LEGEND_CATEGORIES);
+      height += (rows + (legend.color.more > 0 || legend.color.entries.length > rows ? 1 : 0)) * LEGEND_ROW_HEIGHT;
+    }
+  }
+  if (legend.size) {
+    height += (legend.color ? 8 : 0) + LEGEND_ROW_HEIGHT + legend.size.range[1] * 2 + 4;
+  }
+  return height;
+}
+
+// Draws the same encodings as EncodingLegend, top-left at (x, y)
+function drawLegend(ctx, legend, x, y, colors, categoryLabels) {
+  ctx.textBaseline = 'middle';
+  ctx.font = '11px sans-serif';
+  const { color, size } = legend;
+
+  if (color) {
+    ctx.fillStyle = colors.text;
+    ctx.textAlign = 'left';
+    ctx.fillText(`Color: ${color.label}`, x, y + LEGEND_ROW_HEIGHT / 2);
+    y += LEGEND_ROW_HEIGHT;
+
+    if (color.type === 'sequential') {
+      const gradient = ctx.createLinearGradient(x, 0, x + LEGEND_WIDTH, 0);
+      d3.range(0, 1.01, 0.1).forEach(t => gradient.addColorStop(Math.min(t, 1), color.interpolator(t)));
+      ctx.fillStyle = gradient;
+      ctx.fillRect(x, y + 2, LEGEND_WIDTH, 8);
+      y += 12;
+      ctx.fillStyle = colors.muted;
+      ctx.fillText(formatValue(color.domain[0]), x, y + LEGEND_ROW_HEIGHT / 2);
+      ctx.textAlign = 'right';
+      ctx.fillText(formatValue(color.domain[1]), x + LEGEND_WIDTH, y + LEGEND_ROW_HEIGHT / 2);
+      y += LEGEND_ROW_HEIGHT;
+    } else {
+      const entries = color.entries.slice(0, MAX_LEGEND_CATEGORIES);
+      entries.forEach(([category, fill, count]) => {
+        const middle = y + LEGEND_ROW_HEIGHT / 2;
+        ctx.fillStyle = fill;
+        ctx.beginPath();
+        ctx.arc(x + 5, middle, 4, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.fillStyle = colors.text;
+        ctx.textAlign = 'left';
+        ctx.fillText(categoryLabels[category] || category, x + 14, middle, LEGEND_WIDTH - 50);
+        ctx.fillStyle = colors.muted;
+        ctx.textAlign = 'right';
+        ctx.fillText(String(count), x + LEGEND_WIDTH, middle);
+        y += LEGEND_ROW_HEIGHT;
+      });
+      const more = (color.more || 0) + color.entries.length - entries.length;
+      if (more > 0) {
+        ctx.fillStyle = colors.muted;
+        ctx.textAlign = 'left';
+        ctx.fillText(`+${more} more`, x, y + LEGEND_ROW_HEIGHT / 2);
+        y += LEGEND_ROW_HEIGHT;
+      }
+    }
+  }
+
+  if (size) {
+    if (color) y += 8;
+    ctx.fillStyle = colors.text;
+    ctx.textAlign = 'left';
+    ctx.fillText(`Size: ${size.label}`, x, y + LEGEND_ROW_HEIGHT / 2);
+    y += LEGEND_ROW_HEIGHT;
+    const maxRadius = size.range[1];
+    [0, 1].forEach(i => {
+      const cx = x + maxRadius + i * LEGEND_WIDTH / 2;
+      ctx.fillStyle = '#9ca3af';
+      ctx.beginPath();
+      ctx.arc(cx, y + maxRadius, size.range[i], 0, 2 * Math.PI);
+      ctx.fill();
+      ctx.fillStyle = colors.muted;
+      ctx.textAlign = 'left';
+      ctx.fillText(formatValue(size.domain[i]), cx + maxRadius + 4, y + maxRadius);
+    });
+  }
+}
+
+// An SVG element as an image of width x height CSS px, rasterized at pixelRatio so it stays sharp when scaled up
+function svgToImage(svg, width, height, pixelRatio) {
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('width', width * pixelRatio);
+  clone.setAttribute('height', height * pixelRatio);
+  clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(clone)], { type: 'image/svg+xml' }));
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not rasterize the SVG'));
+    };
+    image.src = url;
+  });
+}
+
+// Renders the figure to a canvas. The content is width x height CSS px, given either as an svg element
+// or as draw(ctx) drawing in CSS px from the content's top-left corner.
+// Very large figures get a lower resolution to stay within canvas limits; the DPI actually used is returned.
+export async function renderFigure({
+  width, height, svg, draw, title, subtitle, legend, categoryLabels = {}, theme = 'dark', dpi = CSS_DPI
+}) {
+  const colors = FIGURE_COLORS[theme] || FIGURE_COLORS.dark;
+  const hasLegend = legend && (legend.color || legend.size);
+  const figureWidth = PADDING * 2 + width + (hasLegend ? PADDING + LEGEND_WIDTH : 0);
+  const figureHeight = PADDING * 2 + TITLE_HEIGHT + Math.max(height, hasLegend ? legendHeight(legend) : 0);
+  const pixelRatio = Math.min(
+    dpi / CSS_DPI,
+    MAX_CANVAS_SIDE / figureWidth,
+    MAX_CANVAS_SIDE / figureHeight,
+    Math.sqrt(MAX_CANVAS_PIXELS / (figureWidth * figureHeight))
+  );
+
+  const image = svg && await svgToImage(svg, width, height, pixelRatio);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(figureWidth * pixelRatio);
+  canvas.height = Math.round(figureHeight * pixelRatio);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(pixelRatio, pixelRatio);
+  ctx.fillStyle = colors.background;
+  ctx.fillRect(0, 0, figureWidth, figureHeight);
+
+  // Title block
+  ctx.textBaseline = 'alphabetic';
+  ctx.textAlign = 'left';
+  ctx.fillStyle = colors.text;
+  ctx.font = 'bold 16px sans-serif';
+  ctx.fillText(title || '', PADDING, PADDING + 16, figureWidth - PADDING * 2);
+  ctx.fillStyle = colors.muted;
+  ctx.font = '11px sans-serif';
+  ctx.fillText(subtitle || '', PADDING, PADDING + 34, figureWidth - PADDING * 2);
+
+  const top = PADDING + TITLE_HEIGHT;
+  ctx.save();
+  ctx.translate(PADDING, top);
+  ctx.beginPath();
+  ctx.rect(0, 0, width, height);
+  ctx.clip();
+  if (image) {
+    ctx.drawImage(image, 0, 0, width, height);
+  } else {
+    draw(ctx);
+  }
+  ctx.restore();
+
+  if (hasLegend) drawLegend(ctx, legend, PADDING * 2 + width, top, colors, categoryLabels);
+
+  return { canvas, dpi: pixelRatio * CSS_DPI };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// PNG of the canvas with a pHYs chunk, so image editors and typesetting tools pick up the DPI
+export async function canvasToPng(canvas, dpi) {
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(result => result ? resolve(result) : reject(new Error('Could not encode the PNG')), 'image/png');
+  });
+  const png = new Uint8Array(await blob.arrayBuffer());
+
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4);  // pHYs
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1;  // Unit is the meter
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  // The signature (8 bytes) and IHDR chunk (25 bytes) come first; pHYs must precede the image data
+  const headerLength = 33;
+  return new Blob([png.subarray(0, headerLength), chunk, png.subarray(headerLength)], { type: 'image/png' });
+}
+
+function pdfString(text) {
+  return `(${String(text).replace(/[^\x20-\x7e]/g, '?').replace(/[\\()]/g, '\\$&')})`;
+}
+
+// Single page PDF with the canvas as a losslessly compressed image, sized so it prints at the given DPI
+export async function canvasToPdf(canvas, dpi, title = '') {
+  const { width, height } = canvas;
+  const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+  const rgb = new Uint8Array(width * height * 3);
+  for (let i = 0, j = 0; i < pixels.length; i += 4, j += 3) {
+    rgb[j] = pixels[i];
+    rgb[j + 1] = pixels[i + 1];
+    rgb[j + 2] = pixels[i + 2];
+  }
+  const compressed = new Uint8Array(
+    await new Response(new Blob([rgb]).stream().pipeThrough(new CompressionStream('deflate'))).arrayBuffer()
+  );
+
+  const pageWidth = (width / dpi * 72).toFixed(2);
+  const pageHeight = (height / dpi * 72).toFixed(2);
+  const contents = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 5 0 R >> >> /Contents 4 0 R >>`,
+    `<< /Length ${contents.length} >>\nstream\n${contents}\nendstream`,
+    [`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /FlateDecode /Length ${compressed.length} >>\nstream\n`, compressed, '\nendstream'],
+    `<< /Title ${pdfString(title)} /Producer (Phylogenetic Sequencer) >>`
+  ];
+
+  const encoder = new TextEncoder();
+  const parts = [];
+  let offset = 0;
+  const append = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    parts.push(bytes);
+    offset += bytes.length;
+  };
+
+  append('%PDF-1.4\n');
+  const offsets = objects.map((object, index) => {
+    const start = offset;
+    append(`${index + 1} 0 obj\n`);
+    [].concat(object).forEach(append);
+    append('\nendobj\n');
+    return start;
+  });
+  const xrefOffset = offset;
+  append(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(start => append(`${String(start).padStart(10, '0')} 00000 n \n`));
+  append(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(parts, { type: 'application/pdf' });
+}
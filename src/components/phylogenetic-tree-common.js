@@ -1,10 +1,10 @@
 import { yamnetTags_musical, yamnetTags_non_musical } from './yamnetMusicalTags.js';
 
-function normalizeClassName(className) {
+export function normalizeClassName(className) {
   return className.replace('YAM_', '').split('_')[0];
 }
 
-function isMusicalClass(className) {
+export function isMusicalClass(className) {
   const normalizedName = normalizeClassName(className);
   return yamnetTags_musical.some(tag => normalizedName.includes(tag));
 }
@@ -52,23 +52,55 @@ function traceLineage(data, descendant, maxDepth = Infinity, iteration = 0) {
           console.log(`Warning: descendant ${current.id} has a parent with a higher gN`);
       }
       
-      const parentId = current.parents[0].genomeId;
-      const parentEliteClass = current.parents[0].eliteClass;
-      // compare eliteClass to ensure we're following the correct parent; the same genome could have won multiple classes, as an elite
-      current = data.evoRuns[0].iterations[iteration].lineage.find(item => item.id === parentId && item.eliteClass === parentEliteClass);
+      current = findParentItem(data, current.parents[0], iteration);
       depth++;
   }
   
   return lineage.reverse();
 }
 
+function findParentItem(data, parent, iteration = 0) {
+  // compare eliteClass to ensure we're following the correct parent; the same genome could have won multiple classes, as an elite
+  return data.evoRuns[0].iterations[iteration].lineage.find(item => item.id === parent.genomeId && item.eliteClass === parent.eliteClass);
+}
+
+// Like traceLineage, but follows every parent of each item (e.g. from crossover), not only parents[0].
+// Returns each visited item together with its resolved parent items, in the order of its parents array
+// (missing parents resolve to undefined, so the first entry is always the primary parent).
+function traceAncestry(data, descendant, maxDepth = Infinity, iteration = 0) {
+  const ancestry = [];
+  const visited = new Set();
+  const stack = [{ item: descendant, depth: 0 }];
+
+  while (stack.length > 0) {
+    const { item, depth } = stack.pop();
+    const itemKey = `${item.id}-${item.eliteClass}`;
+    if (visited.has(itemKey)) continue;
+    visited.add(itemKey);
+
+    const parentItems = depth + 1 < maxDepth ?
+      item.parents.map(parent => findParentItem(data, parent, iteration))
+      : [];
+    ancestry.push({ item, parentItems });
+
+    parentItems.forEach(parentItem => {
+      if (parentItem) {
+        stack.push({ item: parentItem, depth: depth + 1 });
+      }
+    });
+  }
+
+  return ancestry;
+}
+
 export function buildSimplifiedTree(
     data, maxDepth = Infinity, 
     measureContextSwitches = false, 
     suffixFilter = null,
     iteration = 0,
     inCategoryMusical = true,
-    inCategoryNonMusical = false
+    inCategoryNonMusical = false,
+    includeAllParents = false
 ) {
 
   const nodeMap = new Map();
@@ -98,6 +130,35 @@ export function buildSimplifiedTree(
 
   latestDescendants.forEach((descendant, index) => {
     console.log(`Processing descendant ${index + 1} of ${latestDescendants.length}`);
+
+    if (includeAllParents) {
+      // Build a lineage DAG: the first parent forms the tree edge, additional parents
+      // are recorded as secondaryParents (ids) on the child node
+      traceAncestry(data, descendant, maxDepth, iteration).forEach(({ item, parentItems }) => {
+        const node = getOrCreateNode(item);
+        const [primaryParentItem, ...secondaryParentItems] = parentItems;
+        const primaryParent = primaryParentItem ? getOrCreateNode(primaryParentItem) : null;
+
+        if (primaryParent && primaryParent.gN < node.gN) {
+          if (!primaryParent.children.includes(node)) {
+            primaryParent.children.push(node);
+          }
+        } else if (!root.children.includes(node)) {
+          root.children.push(node);
+        }
+
+        secondaryParentItems.forEach(parentItem => {
+          if (!parentItem || parentItem.id === primaryParentItem?.id) return;
+          const secondaryParent = getOrCreateNode(parentItem);
+          if (!node.secondaryParents) node.secondaryParents = [];
+          if (!node.secondaryParents.includes(secondaryParent.id)) {
+            node.secondaryParents.push(secondaryParent.id);
+          }
+        });
+      });
+      return;
+    }
+
     const lineage = traceLineage(data, descendant, maxDepth, iteration);
 
     let prevNode = null;
@@ -137,7 +198,15 @@ export function buildSimplifiedTree(
   return root;
 }
 
-export function pruneTreeForContextSwitches(root) {
+// getClassGroup maps a class name to the group used to detect context switches;
+// by default musical vs non-musical. Returns a pruned copy, leaving root untouched.
+export function pruneTreeForContextSwitches(root, getClassGroup = isMusicalClass) {
+  // Imported trees may only have a name; nodes with neither are never merged into their child
+  const classGroupOf = (node) => {
+    const className = node.class ?? node.name;
+    return className ? getClassGroup(className) : undefined;
+  };
+
   function pruneNode(node) {
     if (!node.children || node.children.length === 0) {
       return node;  // Always keep leaf nodes
@@ -145,19 +214,17 @@ export function pruneTreeForContextSwitches(root) {
 
     // if node contains multiple children, keep all children
     if (node.children.length > 1) {
-      node.children = node.children.map(child => pruneNode(child));
-      return node;
+      return { ...node, children: node.children.map(child => pruneNode(child)) };
     }
 
-    // if node containes a single child, and it is of the same class as node (e.g. musical or non-musical), keep traversing children of descendants until a different class is found, or a node with multiple children
+    // if node containes a single child, and it is of the same class group as node (e.g. musical or non-musical), keep traversing children of descendants until a different class group is found, or a node with multiple children
     // - we should only have one child by now:
-    let isThisNodeMusical = isMusicalClass(node.class);
-    let isChildMusical = isMusicalClass(node.children[0].class);
-    if (isThisNodeMusical === isChildMusical) {
+    let thisNodeGroup = classGroupOf(node);
+    let childGroup = classGroupOf(node.children[0]);
+    if (thisNodeGroup !== undefined && thisNodeGroup === childGroup) {
       return pruneNode(node.children[0]);
     } else {
-      node.children = [pruneNode(node.children[0])];
-      return node;
+      return { ...node, children: [pruneNode(node.children[0])] };
     }
   }
 
@@ -176,7 +243,11 @@ function serializeTree(node, depth = 0) {
 }
 
 function downloadTreeDump(content, fileName) {
-  const blob = new Blob([content], { type: 'text/plain' });
+  downloadFile(content, fileName);
+}
+
+export function downloadFile(content, fileName, type = 'text/plain') {
+  const blob = new Blob([content], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -187,6 +258,14 @@ function downloadTreeDump(content, fileName) {
   URL.revokeObjectURL(url);
 }
 
+// Fetch a file as a blob before saving it, so cross-origin files are downloaded rather than opened
+export async function downloadUrl(url, fileName, type) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+  const blob = await response.blob();
+  downloadFile(blob, fileName, type || blob.type);
+}
+
 function countNodes(node) {
   let count = 1;
   if (node.children) {
@@ -197,46 +276,137 @@ function countNodes(node) {
   return count;
 }
 
-function validateLineageData(data) {
+// Validation findings share one shape, so lineage and tree findings can be listed together:
+// { type, severity: 'error' | 'warning', nodeId, message }
+function finding(type, severity, nodeId, message) {
+  return { type, severity, nodeId, message };
+}
+
+export function validateLineageData(data, iteration = 0) {
+  const lineage = data.evoRuns[0].iterations[iteration].lineage || [];
+  const itemsById = new Map();
+  const itemKeys = new Set();
   const visited = new Set();
   const recursionStack = new Set();
-  const errors = [];
+  const findings = [];
 
-  function validateNode(node) {
-    if (recursionStack.has(node.id)) {
-      errors.push(`Circular reference detected: ${node.id}`);
-      return;
+  lineage.forEach(item => {
+    const itemKey = `${item.id}-${item.eliteClass}`;
+    if (itemKeys.has(itemKey)) {
+      findings.push(finding('duplicate-id', 'warning', item.id,
+        `Duplicate lineage entry: ${item.id} (${item.eliteClass})`));
+    }
+    itemKeys.add(itemKey);
+    if (!itemsById.has(item.id)) itemsById.set(item.id, []);
+    itemsById.get(item.id).push(item);
+  });
+
+  // Depth-first along the parents, on an explicit stack so a long lineage can't overflow the call stack
+  function validateFrom(start) {
+    const stack = [];
+    const visit = (node) => {
+      const nodeKey = `${node.id}-${node.eliteClass}`;
+      if (recursionStack.has(nodeKey)) {
+        findings.push(finding('circular-reference', 'error', node.id,
+          `Circular reference detected: ${node.id}`));
+        return;
+      }
+
+      if (visited.has(nodeKey)) {
+        return;
+      }
+
+      visited.add(nodeKey);
+      recursionStack.add(nodeKey);
+      stack.push({ node, nodeKey, parentIndex: 0 });
+    };
+
+    visit(start);
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const { node } = frame;
+      const parents = node.parents || [];
+      if (frame.parentIndex >= parents.length) {
+        recursionStack.delete(frame.nodeKey);
+        stack.pop();
+        continue;
+      }
+
+      // Check if the next parent exists and has a lower or equal generation number
+      const parent = parents[frame.parentIndex++];
+      const candidates = itemsById.get(parent.genomeId) || [];
+      let parentNode = candidates.find(item => item.eliteClass === parent.eliteClass);
+      if (!parentNode && candidates.length > 0) {
+        parentNode = candidates[0];
+        findings.push(finding('elite-class-mismatch', 'warning', node.id,
+          `Parent ${parent.genomeId} of ${node.id} is referenced as ${parent.eliteClass} but only found as ${[...new Set(candidates.map(item => item.eliteClass))].join(', ')}`));
+      }
+      if (!parentNode) {
+        findings.push(finding('missing-parent', 'error', node.id,
+          `Parent node not found: ${parent.genomeId} for child ${node.id}`));
+        continue;
+      }
+      if (parentNode.gN > node.gN) {
+        findings.push(finding('generation-order', 'error', node.id,
+          `Invalid generation number: Parent ${parentNode.id} (gN: ${parentNode.gN}) has higher gN than child ${node.id} (gN: ${node.gN})`));
+      }
+      visit(parentNode);
     }
+  }
 
-    if (visited.has(node.id)) {
+  lineage.forEach(validateFrom);
+
+  return findings;
+}
+
+// Validates a tree as fetched or as produced by buildSimplifiedTree
+export function validateTree(root) {
+  const nodeIds = new Set();
+  const seenIds = new Set();
+  const path = new Set();
+  const findings = [];
+
+  function collectIds(node) {
+    if (path.has(node)) return;
+    path.add(node);
+    if (node.id) nodeIds.add(node.id);
+    (node.children || []).forEach(collectIds);
+    path.delete(node);
+  }
+  collectIds(root);
+
+  function validateNode(node, parent) {
+    if (path.has(node)) {
+      findings.push(finding('circular-reference', 'error', node.id,
+        `Circular reference detected: ${node.id || node.name}`));
       return;
     }
+    path.add(node);
 
-    visited.add(node.id);
-    recursionStack.add(node.id);
+    if (node.id) {
+      if (seenIds.has(node.id)) {
+        findings.push(finding('duplicate-id', 'warning', node.id,
+          `Duplicate node id in tree: ${node.id}`));
+      }
+      seenIds.add(node.id);
+    }
 
-    // Check if parents exist and have lower or equal generation numbers
-    node.parents.forEach(parent => {
-      const parentNode = data.evoRuns[0].iterations[0].lineage.find(item => item.id === parent.genomeId);
-      if (!parentNode) {
-        errors.push(`Parent node not found: ${parent.genomeId} for child ${node.id}`);
-      } else if (parentNode.gN > node.gN) {
-        errors.push(`Invalid generation number: Parent ${parentNode.id} (gN: ${parentNode.gN}) has higher gN than child ${node.id} (gN: ${node.gN})`);
+    if (parent?.id && parent.gN > node.gN) {
+      findings.push(finding('generation-order', 'error', node.id,
+        `Invalid generation number: Parent ${parent.id} (gN: ${parent.gN}) has higher gN than child ${node.id} (gN: ${node.gN})`));
+    }
+
+    (node.secondaryParents || []).forEach(parentId => {
+      if (!nodeIds.has(parentId)) {
+        findings.push(finding('missing-parent', 'warning', node.id,
+          `Crossover parent not found in tree: ${parentId} for child ${node.id}`));
       }
-      validateNode(parentNode);
     });
 
-    recursionStack.delete(node.id);
+    (node.children || []).forEach(child => validateNode(child, node));
+    path.delete(node);
   }
+  validateNode(root, null);
 
-  data.evoRuns[0].iterations[0].lineage.forEach(validateNode);
-
-  if (errors.length > 0) {
-    console.error("Validation errors found:");
-    errors.forEach(error => console.error(error));
-    return false;
-  } else {
-    console.log("Data validation passed. No circular references or inconsistencies found.");
-    return true;
-  }
+  return findings;
 }
@@ -0,0 +1,27 @@
+// Positions of sounds around the listener, who sits at the centre of the view facing up the screen.
+// angle is in radians clockwise from straight ahead, distance in half view sizes from the centre.
+
+export const SPATIAL_MODES = {
+  off: 'Off (centred)',
+  stereo: 'Stereo panning',
+  hrtf: 'HRTF (headphones)'
+};
+
+// A point on screen, e.g. a node of the radial tree: in the initial view its angle is the node's angle in the layout
+export function screenPosition(x, y, width, height) {
+  const dx = x - width / 2;
+  const dy = y - height / 2;
+  return {
+    angle: dx || dy ? Math.atan2(dx, -dy) : 0,
+    distance: Math.hypot(dx, dy) / (Math.min(width, height) / 2)
+  };
+}
+
+// Heatmap cells are only placed left to right by their column, from hard left to hard right across the view
+export function columnPosition(x, y, width, height) {
+  const column = Math.max(0, Math.min(1, x / width));
+  return {
+    angle: (column - 0.5) * Math.PI,
+    distance: screenPosition(x, y, width, height).distance
+  };
+}
@@ -0,0 +1,34 @@
+// Strudel's sound engine, superdough, comes bundled with the REPL, which puts its functions on globalThis
+// once an editor has prebaked. Superdough plays every pattern through one output.
+
+let sharedContext = null;
+
+// Moves superdough onto the shared engine's AudioContext and connects its output to `destination`, e.g. a
+// unit's channel. Superdough creates its own context on the first click, so that one is closed, its output
+// dropped and the worklets loaded again on the shared context. Returns false until the REPL has prebaked.
+export function routeStrudelOutput(context, destination) {
+  const {
+    getAudioContext,
+    setAudioContext,
+    getSuperdoughAudioController,
+    setSuperdoughAudioController,
+    initAudio
+  } = globalThis;
+  if (typeof getSuperdoughAudioController !== 'function' || !context || !destination) return false;
+
+  if (sharedContext !== context) {
+    const ownContext = getAudioContext();
+    if (ownContext !== context) {
+      setAudioContext(context);
+      setSuperdoughAudioController(null);  // Recreated on the shared context below
+      ownContext.close().catch(error => console.error('Error closing the Strudel audio context:', error));
+      initAudio().catch(error => console.error('Error initializing Strudel audio:', error));
+    }
+    sharedContext = context;
+  }
+
+  const { output } = getSuperdoughAudioController();
+  output.destinationGain.disconnect();
+  output.destinationGain.connect(destination);
+  return true;
+}
@@ -0,0 +1,465 @@
+import * as d3 from 'd3';
+import { linkPath, secondaryLinkPath, isPartitionLayout, partitionSegmentPath } from './tree-layouts';
+import { placeLabels, labelOrientation, labelOffset, LABEL_FONT_SIZE } from './tree-labels';
+import {
+  drawTreeSvg, nodeRadius, NODE_RADIUS, COLLAPSED_NODE_RADIUS, LINK_WIDTH, linkStroke, SECONDARY_LINK_COLOR,
+  axisColor, segmentStroke, glyphTextColor, collapsedGlyphSlices, FOCUS_RING_COLOR, FOCUS_RING_GAP
+} from './tree-svg-renderer';
+
+// Above this many visible nodes, nodes are drawn as squares and links as straight lines
+const LOD_NODE_LIMIT = 4000;
+const PLAYING_COLOR = '#ff0000';
+const HIGHLIGHT_COLOR = '#f43f5e';
+
+// Canvas2D backend for large trees. Draws into two stacked canvases:
+// the base layer (links, nodes, axis) only repaints on zoom, opacity or scene changes,
+// the overlay layer (playing, highlighted and keyboard-focused nodes) repaints on its own when playback state changes.
+// Hit testing uses a quadtree, or descends the partition for icicle/sunburst layouts.
+class CanvasTreeRenderer {
+  constructor(container, width, height) {
+    this.baseCanvas = document.createElement('canvas');
+    this.overlayCanvas = document.createElement('canvas');
+    [this.baseCanvas, this.overlayCanvas].forEach(canvas => {
+      canvas.style.position = 'absolute';
+      canvas.style.left = '0';
+      canvas.style.top = '0';
+      container.appendChild(canvas);
+    });
+
+    this.transform = d3.zoomIdentity;
+    this.nodeOpacity = null;
+    this.linkOpacity = null;
+    this.playingIds = new Set();
+    this.highlightedId = null;
+    this.focusedId = null;
+    this.labelCandidates = [];
+    this.placedLabels = new Set();  // Labels shown by the last render
+    this.frame = null;
+    this.overlayFrame = null;
+
+    this.resize(width, height);
+  }
+
+  // The top canvas receives pointer and zoom events
+  get canvas() {
+    return this.overlayCanvas;
+  }
+
+  resize(width, height) {
+    const dpr = window.devicePixelRatio || 1;
+    this.width = width;
+    this.height = height;
+    this.dpr = dpr;
+    [this.baseCanvas, this.overlayCanvas].forEach(canvas => {
+      canvas.width = Math.round(width * dpr);
+      canvas.height = Math.round(height * dpr);
+      canvas.style.width = `${width}px`;
+      canvas.style.height = `${height}px`;
+    });
+    this.requestRender();
+  }
+
+  // labels are the nodes that may get a class-name label, in priority order
+  setScene({ root, layout, theme, fill, secondaryLinks = [], gNScale = null, layoutWidth, layoutHeight, labels = [] }) {
+    this.root = root;
+    this.layout = layout;
+    this.theme = theme;
+    this.fill = fill;
+    this.secondaryLinks = secondaryLinks;
+    this.gNScale = gNScale;
+    this.layoutWidth = layoutWidth;
+    this.layoutHeight = layoutHeight;
+    this.labelCandidates = labels;
+    this.nodes = root.descendants();
+    this.links = linkPath(layout) ? root.links() : [];
+    this.nodeById = new Map(this.nodes.filter(d => d.data.id).map(d => [d.data.id, d]));
+    this.quadtree = d3.quadtree(this.nodes, d => d.px, d => d.py);
+    this.maxRadius = d3.max(this.nodes, nodeRadius) || NODE_RADIUS;
+
+    // Segment shapes are fixed per scene, so build them once
+    this.segmentPaths = isPartitionLayout(layout) ?
+      new Map(this.nodes.map(d => [d, new Path2D(partitionSegmentPath(d, layout))]))
+      : null;
+    this.secondaryPaths = secondaryLinks.map(link => new Path2D(secondaryLinkPath(link, layout)));
+    this.requestRender();
+  }
+
+  setTransform(transform) {
+    this.transform = transform;
+    this.requestRender();
+  }
+
+  // Opacity functions (node => opacity, link => opacity); null restores full opacity
+  setOpacity(nodeOpacity, linkOpacity) {
+    this.nodeOpacity = nodeOpacity;
+    this.linkOpacity = linkOpacity;
+    this.requestRender();
+  }
+
+  setPlaying(playingIds) {
+    this.playingIds = playingIds;
+    this.requestOverlayRender();
+  }
+
+  setHighlighted(nodeId) {
+    this.highlightedId = nodeId;
+    this.requestOverlayRender();
+  }
+
+  setFocused(nodeId) {
+    this.focusedId = nodeId;
+    this.requestOverlayRender();
+  }
+
+  requestRender() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+      this.renderOverlay();
+    });
+  }
+
+  requestOverlayRender() {
+    if (this.overlayFrame || this.frame) return;
+    this.overlayFrame = requestAnimationFrame(() => {
+      this.overlayFrame = null;
+      this.renderOverlay();
+    });
+  }
+
+  // Map the context to world coordinates of the current zoom transform
+  applyTransform(ctx) {
+    const { x, y, k } = this.transform;
+    ctx.setTransform(this.dpr * k, 0, 0, this.dpr * k, this.dpr * x, this.dpr * y);
+  }
+
+  // Visible world rectangle, padded so curves and node radii at the edges are not cut off
+  viewport() {
+    const [x0, y0] = this.transform.invert([0, 0]);
+    const [x1, y1] = this.transform.invert([this.width, this.height]);
+    const pad = (this.maxRadius * 2) / this.transform.k + (x1 - x0) * 0.1;
+    return { x0: x0 - pad, y0: y0 - pad, x1: x1 + pad, y1: y1 + pad };
+  }
+
+  visibleNodes(view) {
+    if (this.segmentPaths) {
+      // Skip segments thinner than half a pixel, and icicle segments outside the view
+      const minSpan = 0.5 / this.transform.k;
+      return this.nodes.filter(d => {
+        if (this.layout === 'sunburst') return (d.x1 - d.x0) * d.y1 >= minSpan;
+        const halfWidth = (d.y1 - d.y0) / 2;
+        const halfHeight = (d.x1 - d.x0) / 2;
+        return halfHeight * 2 >= minSpan &&
+          d.px + halfWidth >= view.x0 && d.px - halfWidth <= view.x1 &&
+          d.py + halfHeight >= view.y0 && d.py - halfHeight <= view.y1;
+      });
+    }
+    const visible = [];
+    this.quadtree.visit((quad, qx0, qy0, qx1, qy1) => {
+      if (!quad.length) {
+        let leaf = quad;
+        do {
+          const d = leaf.data;
+          if (d.px >= view.x0 && d.px <= view.x1 && d.py >= view.y0 && d.py <= view.y1) visible.push(d);
+        } while ((leaf = leaf.next));
+      }
+      return qx0 > view.x1 || qy0 > view.y1 || qx1 < view.x0 || qy1 < view.y0;
+    });
+    return visible;
+  }
+
+  render() {
+    const ctx = this.baseCanvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, this.baseCanvas.width, this.baseCanvas.height);
+    if (!this.root) return;
+
+    this.applyTransform(ctx);
+    const k = this.transform.k;
+    const view = this.viewport();
+    const visible = this.visibleNodes(view);
+    const simplified = visible.length > LOD_NODE_LIMIT;
+
+    this.renderLinks(ctx, view, k, simplified);
+    if (this.gNScale) this.renderAxis(ctx);
+
+    // Batch nodes by fill and opacity to keep style changes to a minimum
+    const batches = new Map();
+    visible.forEach(d => {
+      const alpha = this.nodeOpacity ? this.nodeOpacity(d) : 1;
+      if (alpha <= 0) return;
+      const key = `${this.fill(d)}|${alpha}`;
+      if (!batches.has(key)) batches.set(key, []);
+      batches.get(key).push(d);
+    });
+
+    batches.forEach((batch, key) => {
+      const [color, alpha] = key.split('|');
+      ctx.globalAlpha = Number(alpha);
+      ctx.fillStyle = color;
+      if (this.segmentPaths) {
+        ctx.strokeStyle = segmentStroke(this.theme);
+        ctx.lineWidth = 0.5;
+        batch.forEach(d => {
+          ctx.save();
+          if (this.layout !== 'sunburst') ctx.translate(d.px, d.py);
+          ctx.fill(this.segmentPaths.get(d));
+          ctx.stroke(this.segmentPaths.get(d));
+          ctx.restore();
+        });
+        return;
+      }
+      ctx.beginPath();
+      batch.forEach(d => {
+        const r = nodeRadius(d) / k;
+        if (simplified) {
+          ctx.rect(d.px - r / 2, d.py - r / 2, r, r);
+        } else {
+          ctx.moveTo(d.px + r, d.py);
+          ctx.arc(d.px, d.py, r, 0, 2 * Math.PI);
+        }
+      });
+      ctx.fill();
+    });
+
+    this.renderCollapsedGlyphs(ctx, visible.filter(d => d.data.collapsed), k);
+    ctx.globalAlpha = 1;
+
+    // Hidden nodes don't take up label space
+    const candidates = this.nodeOpacity ? this.labelCandidates.filter(d => this.nodeOpacity(d) > 0) : this.labelCandidates;
+    this.placedLabels = simplified ? new Set() : placeLabels(candidates, this.layout, {
+      transform: this.transform, width: this.width, height: this.height, radius: nodeRadius
+    });
+    this.renderLabels(ctx);
+  }
+
+  // Labels are placed in screen space, so they are drawn without the zoom scale
+  renderLabels(ctx) {
+    ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+    ctx.font = `${LABEL_FONT_SIZE}px sans-serif`;
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = glyphTextColor(this.theme);
+    this.placedLabels.forEach(d => {
+      const { rotate, flip } = labelOrientation(d, this.layout);
+      const [x, y] = this.transform.apply([d.px, d.py]);
+      ctx.globalAlpha = this.nodeOpacity ? this.nodeOpacity(d) : 1;
+      ctx.save();
+      ctx.translate(x, y);
+      ctx.rotate(rotate * Math.PI / 180);
+      ctx.textAlign = flip ? 'right' : 'left';
+      ctx.fillText(d.data.name, labelOffset(d, nodeRadius(d), flip), 0);
+      ctx.restore();
+    });
+    ctx.globalAlpha = 1;
+  }
+
+  // Class-mix pie and descendant count of collapsed subtrees, as in the SVG renderer
+  renderCollapsedGlyphs(ctx, nodes, k) {
+    const arc = d3.arc().innerRadius(0).outerRadius(COLLAPSED_NODE_RADIUS * 0.7 / k).context(ctx);
+    ctx.font = `${10 / k}px sans-serif`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    nodes.forEach(d => {
+      ctx.globalAlpha = this.nodeOpacity ? this.nodeOpacity(d) : 1;
+      ctx.save();
+      ctx.translate(d.px, d.py);
+      collapsedGlyphSlices(d.data.collapsed).forEach(slice => {
+        ctx.beginPath();
+        arc(slice);
+        ctx.fillStyle = slice.color;
+        ctx.fill();
+      });
+      ctx.fillStyle = glyphTextColor(this.theme);
+      ctx.fillText(`+${d.data.collapsed.count}`, (COLLAPSED_NODE_RADIUS + 3) / k, 0);
+      ctx.restore();
+    });
+  }
+
+  renderLinks(ctx, view, k, simplified) {
+    const generator = linkPath(this.layout);
+    if (generator) generator.context(ctx);
+    const minLength = 0.5 / k;  // links shorter than half a pixel are not worth drawing
+
+    const batches = new Map();
+    this.links.forEach(link => {
+      const { source, target } = link;
+      if (Math.max(source.px, target.px) < view.x0 || Math.min(source.px, target.px) > view.x1 ||
+          Math.max(source.py, target.py) < view.y0 || Math.min(source.py, target.py) > view.y1) return;
+      if (Math.abs(source.px - target.px) < minLength && Math.abs(source.py - target.py) < minLength) return;
+      const alpha = 0.4 * (this.linkOpacity ? this.linkOpacity(link) : 1);
+      const key = `${linkStroke(link)}|${alpha}`;
+      if (!batches.has(key)) batches.set(key, []);
+      batches.get(key).push(link);
+    });
+
+    ctx.lineWidth = LINK_WIDTH / k;
+    batches.forEach((batch, key) => {
+      const [color, alpha] = key.split('|');
+      ctx.globalAlpha = Number(alpha);
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      batch.forEach(link => {
+        if (simplified) {
+          ctx.moveTo(link.source.px, link.source.py);
+          ctx.lineTo(link.target.px, link.target.py);
+        } else {
+          generator(link);
+        }
+      });
+      ctx.stroke();
+    });
+
+    if (this.secondaryPaths.length > 0) {
+      ctx.strokeStyle = SECONDARY_LINK_COLOR;
+      ctx.setLineDash([6 / k, 4 / k]);
+      this.secondaryLinks.forEach((link, i) => {
+        ctx.globalAlpha = 0.6 * (this.linkOpacity ? this.linkOpacity(link) : 1);
+        ctx.stroke(this.secondaryPaths[i]);
+      });
+      ctx.setLineDash([]);
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  // Same placement as the SVG axis: below the layout, in world coordinates
+  renderAxis(ctx) {
+    const [x0, x1] = this.gNScale.range();
+    const y = this.layoutHeight / 2 + 20;
+    const color = axisColor(this.theme);
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = 1;
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+
+    ctx.beginPath();
+    ctx.moveTo(x0, y);
+    ctx.lineTo(x1, y);
+    this.gNScale.ticks().forEach(tick => {
+      const x = this.gNScale(tick);
+      ctx.moveTo(x, y);
+      ctx.lineTo(x, y + 6);
+    });
+    ctx.stroke();
+
+    const format = this.gNScale.tickFormat();
+    this.gNScale.ticks().forEach(tick => ctx.fillText(format(tick), this.gNScale(tick), y + 9));
+    ctx.textAlign = 'end';
+    ctx.fillText('Generation (gN)', x1, y + 24);
+  }
+
+  // Only playing, highlighted and focused nodes are drawn here, so playback never repaints the whole tree
+  renderOverlay() {
+    const ctx = this.overlayCanvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
+    if (!this.root) return;
+
+    this.applyTransform(ctx);
+    const k = this.transform.k;
+    const paint = (d, draw) => {
+      ctx.save();
+      ctx.beginPath();
+      if (this.segmentPaths) {
+        if (this.layout !== 'sunburst') ctx.translate(d.px, d.py);
+        draw(this.segmentPaths.get(d));
+      } else {
+        ctx.arc(d.px, d.py, nodeRadius(d) / k, 0, 2 * Math.PI);
+        draw();
+      }
+      ctx.restore();
+    };
+
+    ctx.fillStyle = PLAYING_COLOR;
+    this.playingIds.forEach(id => {
+      const d = this.nodeById.get(id);
+      if (d) paint(d, path => path ? ctx.fill(path) : ctx.fill());
+    });
+
+    const highlighted = this.highlightedId && this.nodeById.get(this.highlightedId);
+    if (highlighted) {
+      ctx.strokeStyle = HIGHLIGHT_COLOR;
+      ctx.lineWidth = 3 / k;
+      paint(highlighted, path => path ? ctx.stroke(path) : ctx.stroke());
+    }
+
+    // Segments are outlined, circles get a ring just outside them
+    const focused = this.focusedId && this.nodeById.get(this.focusedId);
+    if (focused) {
+      ctx.strokeStyle = FOCUS_RING_COLOR;
+      ctx.lineWidth = 2 / k;
+      if (this.segmentPaths) {
+        paint(focused, path => ctx.stroke(path));
+      } else {
+        ctx.beginPath();
+        ctx.arc(focused.px, focused.py, (nodeRadius(focused) + FOCUS_RING_GAP) / k, 0, 2 * Math.PI);
+        ctx.stroke();
+      }
+    }
+  }
+
+  // Node under a point in canvas (screen) coordinates, or undefined; hidden nodes can't be picked
+  findNode(x, y) {
+    const d = this.pickNode(x, y);
+    return d && this.nodeOpacity && this.nodeOpacity(d) <= 0 ? undefined : d;
+  }
+
+  pickNode(x, y) {
+    if (!this.root) return undefined;
+    const [wx, wy] = this.transform.invert([x, y]);
+
+    if (this.layout === 'icicle') {
+      return this.findSegment(d => d.x0 <= wy + this.layoutHeight / 2 && wy + this.layoutHeight / 2 < d.x1,
+        d => d.y0 <= wx + this.layoutWidth / 2 && wx + this.layoutWidth / 2 < d.y1);
+    }
+    if (this.layout === 'sunburst') {
+      // Inverse of d3.pointRadial: angle clockwise from 12 o'clock
+      const angle = (Math.atan2(wx, -wy) + 2 * Math.PI) % (2 * Math.PI);
+      const radius = Math.hypot(wx, wy);
+      return this.findSegment(d => d.x0 <= angle && angle < d.x1, d => d.y0 <= radius && radius < d.y1);
+    }
+    return this.quadtree.find(wx, wy, (this.maxRadius + 2) / this.transform.k);
+  }
+
+  // Descend the partition along children whose span contains the point, until the depth band matches
+  findSegment(inSpan, inBand) {
+    let d = this.root;
+    while (d && inSpan(d)) {
+      if (inBand(d)) return d;
+      d = (d.children || []).find(inSpan);
+    }
+    return undefined;
+  }
+
+  // Detached SVG of the scene with sizes matching the current zoom level; the caller applies the transform.
+  // Labels default to the ones on screen.
+  toSvg(labelNodes = [...this.placedLabels]) {
+    const svg = d3.create("svg")
+      .attr("width", this.width)
+      .attr("height", this.height)
+      .style("font", "10px sans-serif");
+    drawTreeSvg(svg.append("g"), this.root, {
+      layout: this.layout,
+      theme: this.theme,
+      fill: this.fill,
+      secondaryLinks: this.secondaryLinks,
+      gNScale: this.gNScale,
+      height: this.layoutHeight,
+      scale: this.transform.k,
+      labelNodes
+    });
+    return svg.node();
+  }
+
+  destroy() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    if (this.overlayFrame) cancelAnimationFrame(this.overlayFrame);
+    this.baseCanvas.remove();
+    this.overlayCanvas.remove();
+    this.root = null;
+  }
+}
+
+export default CanvasTreeRenderer;
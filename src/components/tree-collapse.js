@@ -0,0 +1,61 @@
+// Helpers for collapsing subtrees and re-rooting the view, working on the tree node shape ({ name, id, children, ... })
+
+// Number of descendants of a node and their classes, most common first
+export function summarizeSubtree(node) {
+  const classCounts = new Map();
+  let count = 0;
+  const stack = [...(node.children || [])];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    count++;
+    classCounts.set(current.name, (classCounts.get(current.name) || 0) + 1);
+    stack.push(...(current.children || []));
+  }
+  return {
+    count,
+    classMix: [...classCounts].sort((a, b) => b[1] - a[1])
+  };
+}
+
+// Copy of the tree where nodes whose id is in collapsedIds have their children replaced by a `collapsed` summary
+export function collapseTree(node, collapsedIds) {
+  if (collapsedIds.size === 0 || !node.children?.length) return node;
+  if (node.id && collapsedIds.has(node.id)) {
+    const collapsedNode = { ...node, collapsed: summarizeSubtree(node) };
+    delete collapsedNode.children;
+    return collapsedNode;
+  }
+  return { ...node, children: node.children.map(child => collapseTree(child, collapsedIds)) };
+}
+
+// Nodes from the root down to the node with the given id, or null if it is not in the tree
+export function findPath(root, id) {
+  const parents = new Map([[root, null]]);
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.id === id) {
+      const path = [];
+      for (let current = node; current; current = parents.get(current)) path.unshift(current);
+      return path;
+    }
+    (node.children || []).forEach(child => {
+      parents.set(child, node);
+      stack.push(child);
+    });
+  }
+  return null;
+}
+
+// Ids of the nodes at the given depth that have children, i.e. everything to collapse for "collapse below depth N"
+export function idsAtDepth(root, depth) {
+  const ids = [];
+  let level = [root];
+  for (let i = 0; i < depth && level.length > 0; i++) {
+    level = level.flatMap(node => node.children || []);
+  }
+  level.forEach(node => {
+    if (node.id && node.children?.length) ids.push(node.id);
+  });
+  return ids;
+}
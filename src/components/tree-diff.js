@@ -0,0 +1,87 @@
+// Nodes of two trees are matched by genome id and class; the same genome can be an elite in several classes
+function nodeKey(node) {
+  return node.id ? `${node.id}|${node.class || node.name}` : node.name;
+}
+
+function indexNodes(root) {
+  const nodes = new Map();
+  const visit = node => {
+    if (node.id) nodes.set(nodeKey(node), node);
+    (node.children || []).forEach(visit);
+  };
+  visit(root);
+  return nodes;
+}
+
+// Merge two trees into one, marking every node with diff: 'shared', 'a' (only in A) or 'b' (only in B).
+// A genome's parent can differ between the runs, so nodes with an id are matched wherever they are in the
+// other tree and appear once, under their parent in A; nodes without one are matched by position.
+export function mergeTrees(treeA, treeB) {
+  const nodesA = indexNodes(treeA);
+  const nodesB = indexNodes(treeB);
+
+  function onlyInB(nodeB) {
+    return {
+      ...nodeB,
+      diff: 'b',
+      children: (nodeB.children || [])
+        .filter(child => !nodesA.has(nodeKey(child)))
+        .map(onlyInB)
+    };
+  }
+
+  // nodeB is null for nodes only in A, whose descendants can still be in B
+  function mergeNodes(nodeA, nodeB) {
+    const unmatchedB = (nodeB?.children || []).filter(child => !child.id);
+    const children = (nodeA.children || []).map(childA => {
+      if (childA.id) return mergeNodes(childA, nodesB.get(nodeKey(childA)) || null);
+      return mergeNodes(childA, unmatchedB.shift() || null);
+    });
+    (nodeB?.children || []).forEach(childB => {
+      if (childB.id ? !nodesA.has(nodeKey(childB)) : unmatchedB.includes(childB)) {
+        children.push(onlyInB(childB));
+      }
+    });
+    children.sort((a, b) => a.gN - b.gN);
+
+    return { ...nodeA, diff: nodeB ? 'shared' : 'a', children };
+  }
+
+  return mergeNodes(treeA, treeB);
+}
+
+function collectClasses(root) {
+  const classes = new Set();
+  const visit = node => {
+    if (node.id) classes.add(node.class || node.name);
+    (node.children || []).forEach(visit);
+  };
+  visit(root);
+  return classes;
+}
+
+export function diffTreeClasses(treeA, treeB) {
+  const classesA = collectClasses(treeA);
+  const classesB = collectClasses(treeB);
+  return {
+    onlyInA: [...classesA].filter(c => !classesB.has(c)).sort(),
+    onlyInB: [...classesB].filter(c => !classesA.has(c)).sort(),
+    shared: [...classesA].filter(c => classesB.has(c)).sort()
+  };
+}
+
+export const DIFF_COLORS = {
+  shared: '#9ca3af',
+  a: '#3b82f6',
+  b: '#f97316'
+};
+
+export function countDiffNodes(root) {
+  const counts = { shared: 0, a: 0, b: 0 };
+  const visit = node => {
+    if (node.id && node.diff) counts[node.diff]++;
+    (node.children || []).forEach(visit);
+  };
+  visit(root);
+  return counts;
+}
@@ -0,0 +1,120 @@
+import * as d3 from 'd3';
+import { isMusicalClass } from './phylogenetic-tree-common';
+import { DIFF_COLORS } from './tree-diff';
+
+const MISSING_COLOR = '#999';
+const MUSICAL_COLORS = { Musical: '#22c55e', 'Non-musical': '#a855f7' };
+const MAX_LEGEND_CATEGORIES = 12;
+
+// Node attributes that can drive colour and size; `value` reads from a d3 hierarchy node,
+// `counts` holds the descendant count of each node (computed once per encoding)
+export const NODE_ENCODINGS = {
+  score: { label: 'Score', type: 'sequential', value: d => d.data.s, domain: [0, 1] },
+  gN: { label: 'Generation (gN)', type: 'sequential', value: d => d.data.gN },
+  class: { label: 'Elite class', type: 'categorical', value: d => d.data.name },
+  musical: {
+    label: 'Musical / non-musical',
+    type: 'categorical',
+    value: d => d.data.name ? (isMusicalClass(d.data.name) ? 'Musical' : 'Non-musical') : undefined
+  },
+  duration: { label: 'Duration', type: 'sequential', value: d => d.data.duration },
+  noteDelta: { label: 'Note delta', type: 'sequential', value: d => d.data.noteDelta },
+  velocity: { label: 'Velocity', type: 'sequential', value: d => d.data.velocity },
+  uBC: { label: 'uBC', type: 'sequential', value: d => d.data.uBC },
+  // Heavily skewed towards leaves, hence the symlog scale
+  descendants: { label: 'Descendant count', type: 'sequential', value: (d, counts) => counts.get(d), symlog: true },
+  run: { label: 'Run (compare)', type: 'categorical', value: d => d.data.diff }
+};
+
+export const SIZE_ENCODINGS = ['none', ...Object.keys(NODE_ENCODINGS).filter(key => NODE_ENCODINGS[key].type === 'sequential')];
+
+function countDescendants(root) {
+  const counts = new Map();
+  root.eachAfter(d => {
+    counts.set(d, (d.children || []).reduce((sum, child) => sum + 1 + counts.get(child), 0));
+  });
+  return counts;
+}
+
+const isValue = (value) => value !== undefined && value !== null && !(typeof value === 'number' && isNaN(value));
+
+function valueReader(root, key) {
+  const encoding = NODE_ENCODINGS[key];
+  const counts = key === 'descendants' ? countDescendants(root) : null;
+  return d => encoding.value(d, counts);
+}
+
+function numericDomain(root, key, read) {
+  if (NODE_ENCODINGS[key].domain) return NODE_ENCODINGS[key].domain;
+  const extent = d3.extent(root.descendants(), d => isValue(read(d)) ? Number(read(d)) : undefined);
+  if (extent[0] === undefined) return [0, 1];
+  return extent[0] === extent[1] ? [extent[0], extent[0] + 1] : extent;
+}
+
+// Returns the fill function for the given encoding and a legend description:
+// { type: 'sequential', label, domain, interpolator } or { type: 'categorical', label, entries: [[name, color, count]], more }
+export function createColorEncoding(root, requestedKey) {
+  const key = NODE_ENCODINGS[requestedKey] ? requestedKey : 'score';
+  const encoding = NODE_ENCODINGS[key];
+  const read = valueReader(root, key);
+
+  if (encoding.type === 'sequential') {
+    const domain = numericDomain(root, key, read);
+    const interpolator = d3.interpolateViridis;
+    const scale = (encoding.symlog ? d3.scaleSequentialSymlog : d3.scaleSequential)(interpolator).domain(domain);
+    return {
+      fill: d => isValue(read(d)) ? scale(read(d)) : MISSING_COLOR,
+      legend: { type: 'sequential', label: encoding.symlog ? `${encoding.label} (log)` : encoding.label, domain, interpolator }
+    };
+  }
+
+  // Categories ordered by frequency, so the most common ones get the most distinct colours and legend entries
+  const frequencies = d3.rollups(
+    root.descendants().filter(d => isValue(read(d))),
+    nodes => nodes.length,
+    read
+  ).sort((a, b) => b[1] - a[1]);
+
+  let colorOf;
+  if (key === 'run') {
+    colorOf = category => DIFF_COLORS[category];
+  } else if (key === 'musical') {
+    colorOf = category => MUSICAL_COLORS[category];
+  } else {
+    // Beyond ten categories, step around the hue circle by the golden ratio so neighbours in frequency stay distinct
+    const palette = frequencies.length <= 10 ?
+      d3.schemeTableau10
+      : frequencies.map((_, i) => d3.interpolateRainbow((i * 0.618034) % 1));
+    const scale = d3.scaleOrdinal(frequencies.map(([category]) => category), palette);
+    colorOf = category => scale(category);
+  }
+
+  return {
+    fill: d => isValue(read(d)) ? colorOf(read(d)) : MISSING_COLOR,
+    legend: {
+      type: 'categorical',
+      label: encoding.label,
+      entries: frequencies.slice(0, MAX_LEGEND_CATEGORIES).map(([category, count]) => [category, colorOf(category), count]),
+      more: Math.max(0, frequencies.length - MAX_LEGEND_CATEGORIES)
+    }
+  };
+}
+
+// Returns the radius function (screen pixels) and a legend description { label, domain, range }, or null legend for 'none'
+export function createSizeEncoding(root, key, baseRadius) {
+  if (!NODE_ENCODINGS[key] || NODE_ENCODINGS[key].type !== 'sequential') {
+    return { radius: () => baseRadius, legend: null };
+  }
+  const read = valueReader(root, key);
+  const domain = numericDomain(root, key, read);
+  const range = [baseRadius / 2, baseRadius * 2];
+  // Values map linearly to area rather than radius; unlike scaleSqrt this also works for negative domains
+  const area = (NODE_ENCODINGS[key].symlog ? d3.scaleSymlog : d3.scaleLinear)()
+    .domain(domain)
+    .range(range.map(r => r * r))
+    .clamp(true);
+  return {
+    radius: d => isValue(read(d)) ? Math.sqrt(area(read(d))) : range[0],
+    legend: { label: NODE_ENCODINGS[key].label, domain, range }
+  };
+}
@@ -0,0 +1,83 @@
+// Exporters from the tree node shape ({ name, id, children, s, gN, ... }) to standard phylogenetics formats
+
+function branchLength(node, parent) {
+  return parent ? Math.max(0, (node.gN || 0) - (parent.gN || 0)) : 0;
+}
+
+// Labels combine class name and genome id; quoted whenever they contain Newick punctuation or whitespace
+function newickLabel(node) {
+  const label = node.id ? `${node.name}|${node.id}` : node.name;
+  if (!label) return '';
+  if (/[\s(),:;'[\]]/.test(label)) {
+    return `'${label.replace(/'/g, "''")}'`;
+  }
+  return label;
+}
+
+export function toNewick(root) {
+  function visit(node, parent) {
+    const children = node.children || [];
+    const subtree = children.length > 0 ?
+      `(${children.map(child => visit(child, node)).join(',')})`
+      : '';
+    const length = parent ? `:${branchLength(node, parent)}` : '';
+    // The synthetic root of a lineage tree has no genome behind it, so it stays unlabelled
+    const label = parent || node.id ? newickLabel(node) : '';
+    return `${subtree}${label}${length}`;
+  }
+  return `${visit(root, null)};`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Node fields carried as PhyloXML properties: field -> [property name, XML schema datatype]
+export const PHYLOXML_PROPERTIES = {
+  s: ['score', 'xsd:double'],
+  class: ['class', 'xsd:string'],
+  gN: ['generation', 'xsd:integer'],
+  duration: ['duration', 'xsd:double'],
+  noteDelta: ['noteDelta', 'xsd:double'],
+  velocity: ['velocity', 'xsd:double'],
+  uBC: ['uBC', 'xsd:integer']
+};
+
+export const PHYLOXML_PROPERTY_PREFIX = 'synthis';
+
+export function toPhyloXML(root, name = '') {
+  function visit(node, parent, indent) {
+    const pad = '  '.repeat(indent);
+    const lines = [`${pad}<clade>`];
+    if (node.name) lines.push(`${pad}  <name>${escapeXml(node.name)}</name>`);
+    if (parent) lines.push(`${pad}  <branch_length>${branchLength(node, parent)}</branch_length>`);
+    if (node.id) lines.push(`${pad}  <node_id>${escapeXml(node.id)}</node_id>`);
+    Object.entries(PHYLOXML_PROPERTIES).forEach(([key, [property, datatype]]) => {
+      if (node[key] !== undefined && node[key] !== null) {
+        lines.push(`${pad}  <property ref="${PHYLOXML_PROPERTY_PREFIX}:${property}" datatype="${datatype}" applies_to="clade">${escapeXml(node[key])}</property>`);
+      }
+    });
+    (node.secondaryParents || []).forEach(parentId => {
+      lines.push(`${pad}  <property ref="${PHYLOXML_PROPERTY_PREFIX}:secondaryParent" datatype="xsd:string" applies_to="clade">${escapeXml(parentId)}</property>`);
+    });
+    (node.children || []).forEach(child => lines.push(visit(child, node, indent + 1)));
+    lines.push(`${pad}</clade>`);
+    return lines.join('\n');
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<phyloxml xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.phyloxml.org http://www.phyloxml.org/1.20/phyloxml.xsd" xmlns="http://www.phyloxml.org">',
+    '  <phylogeny rooted="true">',
+    name ? `    <name>${escapeXml(name)}</name>` : null,
+    visit(root, null, 2),
+    '  </phylogeny>',
+    '</phyloxml>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
@@ -0,0 +1,185 @@
+// Parsers from Newick and PhyloXML into the tree node shape the viewer consumes ({ name, id, children, s, gN, ... })
+import { PHYLOXML_PROPERTIES } from './tree-export';
+
+// Our own Newick export labels nodes `name|id`; labels from other tools are used as both name and id,
+// so leaves named after genome ids still resolve to their sound files
+function labelToNode(label) {
+  if (!label) return { name: '' };
+  const separator = label.lastIndexOf('|');
+  // The name doubles as the class, as parsePhyloXML restores it, so context-switch pruning works on imports
+  if (separator > 0) {
+    const name = label.slice(0, separator);
+    return { name, id: label.slice(separator + 1), class: name };
+  }
+  return { name: label, id: label, class: label };
+}
+
+// Generation numbers are reconstructed by accumulating branch lengths from the root
+export function parseNewick(text) {
+  let pos = 0;
+
+  const error = (message) => new Error(`Invalid Newick at position ${pos}: ${message}`);
+
+  const skipWhitespaceAndComments = () => {
+    while (pos < text.length) {
+      if (/\s/.test(text[pos])) {
+        pos++;
+      } else if (text[pos] === '[') {
+        const end = text.indexOf(']', pos);
+        if (end === -1) throw error('unterminated comment');
+        pos = end + 1;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readLabel = () => {
+    skipWhitespaceAndComments();
+    if (text[pos] === "'") {
+      let label = '';
+      pos++;
+      while (pos < text.length) {
+        if (text[pos] === "'") {
+          // '' inside a quoted label is an escaped quote
+          if (text[pos + 1] !== "'") {
+            pos++;
+            return label;
+          }
+          pos++;
+        }
+        label += text[pos++];
+      }
+      throw error('unterminated quoted label');
+    }
+    const start = pos;
+    while (pos < text.length && !/[\s(),:;[\]]/.test(text[pos])) pos++;
+    return text.slice(start, pos);
+  };
+
+  const readBranchLength = () => {
+    skipWhitespaceAndComments();
+    if (text[pos] !== ':') return 0;
+    pos++;
+    skipWhitespaceAndComments();
+    const start = pos;
+    while (pos < text.length && /[0-9eE.+-]/.test(text[pos])) pos++;
+    const length = Number(text.slice(start, pos));
+    if (start === pos || isNaN(length)) throw error('invalid branch length');
+    return length;
+  };
+
+  const readNode = () => {
+    skipWhitespaceAndComments();
+    const children = [];
+    if (text[pos] === '(') {
+      pos++;
+      for (;;) {
+        children.push(readNode());
+        skipWhitespaceAndComments();
+        if (text[pos] === ',') {
+          pos++;
+        } else if (text[pos] === ')') {
+          pos++;
+          break;
+        } else {
+          throw error("expected ',' or ')'");
+        }
+      }
+    }
+    const node = labelToNode(readLabel());
+    node.length = readBranchLength();
+    if (children.length > 0) node.children = children;
+    return node;
+  };
+
+  const root = readNode();
+  skipWhitespaceAndComments();
+  if (text[pos] !== ';') throw error("expected ';'");
+  // Earlier exports labelled the synthetic root "root"; it isn't a genome, so it gets no id
+  if (root.id === 'root' && root.name === 'root') {
+    delete root.id;
+    delete root.class;
+  }
+
+  const assignGenerations = (node, parentGN) => {
+    node.gN = parentGN + node.length;
+    delete node.length;
+    (node.children || []).forEach(child => assignGenerations(child, node.gN));
+    return node;
+  };
+  return assignGenerations(root, 0);
+}
+
+const childElements = (element, localName) =>
+  Array.from(element.children).filter(child => child.localName === localName);
+
+const childText = (element, localName) => childElements(element, localName)[0]?.textContent.trim();
+
+// Maps PhyloXML property names (as written by toPhyloXML) back to node fields
+const PROPERTY_FIELDS = Object.fromEntries(
+  Object.entries(PHYLOXML_PROPERTIES).map(([key, [property]]) => [property, key])
+);
+
+function cladeToNode(clade, parentGN) {
+  const node = {
+    name: childText(clade, 'name')
+      || childText(childElements(clade, 'taxonomy')[0] || clade, 'scientific_name')
+      || ''
+  };
+  const id = childText(clade, 'node_id');
+  if (id) node.id = id;
+
+  childElements(clade, 'property').forEach(property => {
+    const ref = property.getAttribute('ref') || '';
+    const propertyName = ref.slice(ref.indexOf(':') + 1);
+    const value = property.textContent.trim();
+    const datatype = property.getAttribute('datatype');
+    if (propertyName === 'secondaryParent') {
+      node.secondaryParents = [...(node.secondaryParents || []), value];
+    } else if (PROPERTY_FIELDS[propertyName]) {
+      const isNumeric = datatype === 'xsd:double' || datatype === 'xsd:integer' || datatype === 'xsd:float';
+      node[PROPERTY_FIELDS[propertyName]] = isNumeric ? Number(value) : value;
+    }
+  });
+
+  // Without an explicit generation, fall back to accumulated branch lengths
+  if (node.gN === undefined) {
+    const branchLength = Number(childText(clade, 'branch_length') ?? clade.getAttribute('branch_length') ?? 0);
+    node.gN = parentGN + (isNaN(branchLength) ? 0 : branchLength);
+  }
+
+  const children = childElements(clade, 'clade').map(child => cladeToNode(child, node.gN));
+  if (children.length > 0) node.children = children;
+  return node;
+}
+
+// Reads the first phylogeny of the document
+export function parsePhyloXML(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid PhyloXML: not well-formed XML');
+  }
+  const phylogeny = childElements(doc.documentElement, 'phylogeny')[0];
+  const rootClade = phylogeny && childElements(phylogeny, 'clade')[0];
+  if (!rootClade) {
+    throw new Error('Invalid PhyloXML: no phylogeny with a root clade');
+  }
+  return cladeToNode(rootClade, 0);
+}
+
+export const TREE_FILE_EXTENSIONS = ['.nwk', '.newick', '.tree', '.tre', '.xml', '.phyloxml'];
+
+export function isTreeFile(fileName) {
+  const lower = fileName.toLowerCase();
+  return TREE_FILE_EXTENSIONS.some(extension => lower.endsWith(extension));
+}
+
+// Picks the parser by file extension, falling back to sniffing the content
+export function parseTreeFile(text, fileName = '') {
+  const lower = fileName.toLowerCase();
+  if (lower.endsWith('.xml') || lower.endsWith('.phyloxml') || text.trimStart().startsWith('<')) {
+    return parsePhyloXML(text);
+  }
+  return parseNewick(text.trim());
+}
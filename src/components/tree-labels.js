@@ -0,0 +1,128 @@
+import { isPartitionLayout } from './tree-layouts';
+
+// Class-name labels next to nodes, kept at a constant screen size.
+// Which labels are shown is decided in screen space: labels are placed greedily in priority order
+// and skipped when they would overlap one already placed, so zooming in reveals more of them.
+
+export const LABEL_MODES = {
+  none: 'None',
+  leaves: 'Leaves',
+  all: 'All nodes'
+};
+
+export const LABEL_FONT_SIZE = 10;
+const LABEL_GAP = 3;  // px between the node and its label
+const GRID_CELL_SIZE = 64;
+
+// Nodes that get a label, leaves before internal nodes and higher scores first;
+// partition layouts already show structure by area and collapsed nodes have their own glyph
+export function labelCandidates(root, mode, layout) {
+  if (mode === 'none' || isPartitionLayout(layout)) return [];
+  return root.descendants()
+    .filter(d => d.data.name && !d.data.collapsed && (mode === 'all' || !d.children))
+    .sort((a, b) => (a.children ? 1 : 0) - (b.children ? 1 : 0) || (b.data.s ?? 0) - (a.data.s ?? 0));
+}
+
+// Labels point outward from the centre of the radial tree and to the right in the other layouts.
+// angle is that direction in degrees; labels on the left half are flipped so they read left to right.
+export function labelOrientation(d, layout) {
+  if (layout !== 'radial') return { angle: 0, rotate: 0, flip: false };
+  const turn = ((d.x % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);  // d3.pointRadial angle, 0 is up
+  const angle = turn * 180 / Math.PI - 90;
+  const flip = turn > Math.PI;
+  return { angle, rotate: flip ? angle + 180 : angle, flip };
+}
+
+// Offset of the label text from the node centre, along the rotated x axis
+export function labelOffset(d, radius, flip) {
+  return flip ? -(radius + LABEL_GAP) : radius + LABEL_GAP;
+}
+
+let measureContext = null;
+const labelWidths = new Map();
+
+// Width of a label in px, measured once per class name
+export function measureLabel(text) {
+  if (!labelWidths.has(text)) {
+    if (!measureContext) {
+      measureContext = document.createElement('canvas').getContext('2d');
+      measureContext.font = `${LABEL_FONT_SIZE}px sans-serif`;
+    }
+    labelWidths.set(text, measureContext.measureText(text).width);
+  }
+  return labelWidths.get(text);
+}
+
+// Corners of the label box in screen coordinates and its two axes, for separating axis tests
+function labelBox(d, layout, transform, radius, width) {
+  const [x, y] = transform.apply([d.px, d.py]);
+  const { angle } = labelOrientation(d, layout);
+  const ux = Math.cos(angle * Math.PI / 180);
+  const uy = Math.sin(angle * Math.PI / 180);
+  const start = radius + LABEL_GAP;
+  const half = LABEL_FONT_SIZE / 2;
+  const corners = [
+    [x + ux * start - uy * half, y + uy * start + ux * half],
+    [x + ux * (start + width) - uy * half, y + uy * (start + width) + ux * half],
+    [x + ux * (start + width) + uy * half, y + uy * (start + width) - ux * half],
+    [x + ux * start + uy * half, y + uy * start - ux * half]
+  ];
+  const xs = corners.map(c => c[0]);
+  const ys = corners.map(c => c[1]);
+  return {
+    corners,
+    axes: [[ux, uy], [-uy, ux]],
+    x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys)
+  };
+}
+
+function project(corners, [ax, ay]) {
+  let min = Infinity;
+  let max = -Infinity;
+  corners.forEach(([x, y]) => {
+    const value = x * ax + y * ay;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  return [min, max];
+}
+
+function boxesOverlap(a, b) {
+  if (a.x1 < b.x0 || b.x1 < a.x0 || a.y1 < b.y0 || b.y1 < a.y0) return false;
+  return [...a.axes, ...b.axes].every(axis => {
+    const [minA, maxA] = project(a.corners, axis);
+    const [minB, maxB] = project(b.corners, axis);
+    return maxA > minB && maxB > minA;
+  });
+}
+
+// Set of candidates whose labels fit on screen without overlapping, for the given zoom transform and view size.
+// radius(d) is the node radius in screen px.
+export function placeLabels(candidates, layout, { transform, width, height, radius, measure = measureLabel }) {
+  const placed = new Set();
+  const grid = new Map();
+  const cellsOf = (box) => {
+    const keys = [];
+    for (let gx = Math.floor(box.x0 / GRID_CELL_SIZE); gx <= Math.floor(box.x1 / GRID_CELL_SIZE); gx++) {
+      for (let gy = Math.floor(box.y0 / GRID_CELL_SIZE); gy <= Math.floor(box.y1 / GRID_CELL_SIZE); gy++) {
+        keys.push(`${gx},${gy}`);
+      }
+    }
+    return keys;
+  };
+
+  candidates.forEach(d => {
+    const box = labelBox(d, layout, transform, radius(d), measure(d.data.name));
+    if (box.x1 < 0 || box.y1 < 0 || box.x0 > width || box.y0 > height) return;
+
+    const cells = cellsOf(box);
+    if (cells.some(key => (grid.get(key) || []).some(other => boxesOverlap(box, other)))) return;
+
+    cells.forEach(key => {
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(box);
+    });
+    placed.add(d);
+  });
+  return placed;
+}
@@ -0,0 +1,129 @@
+import * as d3 from 'd3';
+
+export const TREE_LAYOUTS = {
+  radial: 'Radial',
+  dendrogram: 'Dendrogram',
+  timeline: 'Generation timeline',
+  icicle: 'Icicle',
+  sunburst: 'Sunburst'
+};
+
+export function isPartitionLayout(layout) {
+  return layout === 'icicle' || layout === 'sunburst';
+}
+
+// Lays out the hierarchy and stores cartesian node positions as d.px / d.py,
+// relative to the centre of the drawing area, so all layouts share the same zoom and export handling.
+// Returns the gN scale for the timeline layout (for drawing its axis).
+export function applyTreeLayout(root, layout, { width, height, radius, separationFactor }) {
+  switch (layout) {
+    case 'dendrogram':
+    case 'timeline': {
+      d3.tree().size([height, width])(root);
+      const gNScale = d3.scaleLinear()
+        .domain([0, d3.max(root.descendants(), d => d.data.gN) || 1])
+        .range([-width / 2, width / 2]);
+      root.each(d => {
+        d.px = layout === 'timeline' ? gNScale(d.data.gN || 0) : d.y - width / 2;
+        d.py = d.x - height / 2;
+      });
+      return layout === 'timeline' ? gNScale : null;
+    }
+    case 'icicle': {
+      root.count();
+      d3.partition().size([height, width])(root);
+      root.each(d => {
+        d.px = (d.y0 + d.y1) / 2 - width / 2;
+        d.py = (d.x0 + d.x1) / 2 - height / 2;
+      });
+      return null;
+    }
+    case 'sunburst': {
+      root.count();
+      d3.partition().size([2 * Math.PI, Math.min(width, height) / 2])(root);
+      root.each(d => {
+        [d.px, d.py] = d3.pointRadial((d.x0 + d.x1) / 2, (d.y0 + d.y1) / 2);
+      });
+      return null;
+    }
+    default: {
+      d3.tree()
+        .size([2 * Math.PI, radius])
+        .separation((a, b) => (a.parent == b.parent ? 1 : 2) / a.depth * separationFactor)(root);
+
+      // Spread siblings further apart than d3.tree does
+      const adjustNodes = (node, depth = 0) => {
+        if (node.children) {
+          const siblings = node.children;
+          const spacing = 2 * Math.PI / Math.pow(siblings.length, 1.1);
+          siblings.forEach((child, i) => {
+            child.x = node.x + (i - (siblings.length - 1) / 2) * spacing / (depth + 1);
+            adjustNodes(child, depth + 1);
+          });
+        }
+      };
+      adjustNodes(root);
+
+      root.each(d => {
+        [d.px, d.py] = d3.pointRadial(d.x, d.y);
+      });
+      return null;
+    }
+  }
+}
+
+// Path generator for parent-child links; partition layouts show structure by adjacency instead
+export function linkPath(layout) {
+  if (isPartitionLayout(layout)) return null;
+  if (layout === 'radial') {
+    return d3.linkRadial()
+      .angle(d => d.x)
+      .radius(d => d.y);
+  }
+  return d3.linkHorizontal()
+    .x(d => d.px)
+    .y(d => d.py);
+}
+
+// Additional (crossover) parent edges of lineage DAGs, for parents that are part of the drawn tree
+export function secondaryParentLinks(root) {
+  const nodeById = new Map(
+    root.descendants()
+      .filter(d => d.data.id)
+      .map(d => [d.data.id, d])
+  );
+  return root.descendants().flatMap(d =>
+    (d.data.secondaryParents || [])
+      .filter(parentId => nodeById.has(parentId))
+      .map(parentId => ({ source: nodeById.get(parentId), target: d }))
+  );
+}
+
+// Curve for additional (crossover) parent edges, bent away from the primary links
+export function secondaryLinkPath(link, layout) {
+  const { source, target } = link;
+  let cx, cy;
+  if (layout === 'radial') {
+    [cx, cy] = d3.pointRadial((source.x + target.x) / 2, Math.min(source.y, target.y) * 0.5);
+  } else {
+    cx = (source.px + target.px) / 2;
+    cy = (source.py + target.py) / 2 - Math.abs(target.px - source.px) * 0.25;
+  }
+  return `M${source.px},${source.py}Q${cx},${cy} ${target.px},${target.py}`;
+}
+
+// Segment shape of a node in partition layouts, relative to the node position (d.px, d.py)
+export function partitionSegmentPath(d, layout) {
+  if (layout === 'sunburst') {
+    const arc = d3.arc()
+      .startAngle(d.x0)
+      .endAngle(d.x1)
+      .innerRadius(d.y0)
+      .outerRadius(d.y1)
+      .padAngle(0.002);
+    return arc();
+  }
+  const w = d.y1 - d.y0;
+  const h = d.x1 - d.x0;
+  return `M${-w / 2},${-h / 2}h${w}v${h}h${-w}Z`;
+}
@@ -0,0 +1,213 @@
+import { isMusicalClass } from './phylogenetic-tree-common';
+
+// Query language for searching tree nodes, e.g. `class:Guitar s>0.8 gN:100..500 musical:true`:
+// - terms are ANDed by default; `AND`, `OR`, `NOT` (or a leading `-`) and parentheses combine them
+// - `class:Guitar` substring match on the class name, `class:/^gui/i` or a bare `/regex/` matches a regex
+// - `id:01HAP` matches ids by prefix
+// - numeric fields compare with `>`, `>=`, `<`, `<=`, `=` or take a range `gN:100..500` (either end may be left open)
+// - `musical:true|false` uses the YAMNet musical tags
+// - any other word is a substring match on the class name or an id prefix, as the plain search did before
+
+const NUMERIC_FIELDS = {
+  s: d => d.data.s,
+  score: d => d.data.s,
+  gN: d => d.data.gN,
+  duration: d => d.data.duration,
+  noteDelta: d => d.data.noteDelta,
+  velocity: d => d.data.velocity,
+  uBC: d => d.data.uBC
+};
+
+const className = (d) => d.data.name || '';
+
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < text.length) {
+    const char = text[pos];
+    if (/\s/.test(char)) {
+      pos++;
+    } else if (char === '(' || char === ')') {
+      tokens.push(char);
+      pos++;
+    } else {
+      // A word runs to the next whitespace or parenthesis, but quoted strings and regexes may contain both
+      let word = '';
+      while (pos < text.length && !/[\s()]/.test(text[pos])) {
+        const quote = text[pos] === '"' ? '"' : text[pos] === '/' && /(^|:|^-)$/.test(word) ? '/' : null;
+        if (quote) {
+          const end = findClosing(text, pos + 1, quote);
+          if (end === -1) throw new Error(`Unterminated ${quote === '"' ? 'quote' : 'regex'} in "${text.slice(pos)}"`);
+          word += text.slice(pos, end + 1);
+          pos = end + 1;
+        } else {
+          word += text[pos++];
+        }
+      }
+      tokens.push(word);
+    }
+  }
+  return tokens;
+}
+
+function findClosing(text, from, quote) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function unquote(value) {
+  return value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value;
+}
+
+// `/pattern/flags` as a RegExp, or null for plain text. The g and y flags are dropped: they make test()
+// resume from the previous match, which would skip nodes
+function parseRegex(value) {
+  const match = /^\/(.*)\/([a-z]*)$/.exec(value);
+  if (!match) return null;
+  try {
+    return new RegExp(match[1], match[2].replace(/[gy]/g, ''));
+  } catch (err) {
+    throw new Error(`Invalid regex ${value}: ${err.message}`);
+  }
+}
+
+function textMatcher(value) {
+  const regex = parseRegex(value);
+  if (regex) return text => regex.test(text);
+  const needle = unquote(value).toLowerCase();
+  return text => text.toLowerCase().includes(needle);
+}
+
+function parseNumber(value, term) {
+  const number = Number(value);
+  if (value === '' || isNaN(number)) throw new Error(`Expected a number in "${term}"`);
+  return number;
+}
+
+function numericPredicate(read, operator, value, term) {
+  if (operator === ':' && value.includes('..')) {
+    const [min, max] = value.split('..');
+    const low = min === '' ? -Infinity : parseNumber(min, term);
+    const high = max === '' ? Infinity : parseNumber(max, term);
+    return d => read(d) !== undefined && read(d) >= low && read(d) <= high;
+  }
+  const number = parseNumber(value, term);
+  const compare = {
+    '>': v => v > number,
+    '>=': v => v >= number,
+    '<': v => v < number,
+    '<=': v => v <= number,
+    '=': v => v === number,
+    ':': v => v === number
+  }[operator];
+  return d => read(d) !== undefined && read(d) !== null && compare(read(d));
+}
+
+function termPredicate(term) {
+  const regex = parseRegex(term);
+  if (regex) return d => regex.test(className(d));
+
+  const comparison = /^([A-Za-z]+)(>=|<=|>|<|=|:)(.*)$/.exec(term);
+  if (comparison) {
+    const [, field, operator, value] = comparison;
+    if (NUMERIC_FIELDS[field]) {
+      return numericPredicate(NUMERIC_FIELDS[field], operator, value, term);
+    }
+    if (operator === ':') {
+      switch (field) {
+        case 'class': {
+          const matches = textMatcher(value);
+          return d => matches(className(d)) || matches(d.data.class || '');
+        }
+        case 'id': {
+          const prefix = unquote(value).toLowerCase();
+          return d => (d.data.id || '').toLowerCase().startsWith(prefix);
+        }
+        case 'musical': {
+          if (value !== 'true' && value !== 'false') throw new Error(`Expected musical:true or musical:false, got "${term}"`);
+          const musical = value === 'true';
+          return d => Boolean(d.data.name) && isMusicalClass(d.data.name) === musical;
+        }
+        default:
+          throw new Error(`Unknown field "${field}"`);
+      }
+    }
+  }
+
+  const needle = unquote(term).toLowerCase();
+  return d => className(d).toLowerCase().includes(needle) || (d.data.id || '').toLowerCase().startsWith(needle);
+}
+
+// Recursive descent over the tokens: or := and (OR and)*, and := unary (AND? unary)*, unary := NOT unary | atom
+function parseTokens(tokens) {
+  let pos = 0;
+
+  const parseOr = () => {
+    const operands = [parseAnd()];
+    while (tokens[pos] === 'OR') {
+      pos++;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : d => operands.some(operand => operand(d));
+  };
+
+  const parseAnd = () => {
+    const operands = [parseUnary()];
+    while (pos < tokens.length && tokens[pos] !== 'OR' && tokens[pos] !== ')') {
+      if (tokens[pos] === 'AND') pos++;
+      operands.push(parseUnary());
+    }
+    return operands.length === 1 ? operands[0] : d => operands.every(operand => operand(d));
+  };
+
+  const parseUnary = () => {
+    const token = tokens[pos];
+    if (token === 'NOT') {
+      pos++;
+      const operand = parseUnary();
+      return d => !operand(d);
+    }
+    if (token && token.length > 1 && token.startsWith('-')) {
+      pos++;
+      const operand = termPredicate(token.slice(1));
+      return d => !operand(d);
+    }
+    return parseAtom();
+  };
+
+  const parseAtom = () => {
+    const token = tokens[pos];
+    if (token === undefined || token === 'OR' || token === 'AND' || token === ')') {
+      throw new Error(token === undefined ? 'Unexpected end of query' : `Unexpected "${token}"`);
+    }
+    pos++;
+    if (token === '(') {
+      const inner = parseOr();
+      if (tokens[pos] !== ')') throw new Error('Missing closing parenthesis');
+      pos++;
+      return inner;
+    }
+    return termPredicate(token);
+  };
+
+  const predicate = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}"`);
+  return predicate;
+}
+
+// Compiles a query into { match: hierarchyNode => boolean }, or { error } when it does not parse;
+// an empty query returns null
+export function createSearchMatcher(query) {
+  if (!query.trim()) return null;
+  try {
+    return { match: parseTokens(tokenize(query.trim())) };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
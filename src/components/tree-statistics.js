@@ -0,0 +1,106 @@
+import { isMusicalClass } from './phylogenetic-tree-common.js';
+
+// The trees from buildSimplifiedTree (and the fetched tree JSON) have a synthetic root without an id
+function isSyntheticRoot(node) {
+  return !node.id && node.name === 'root';
+}
+
+function nodeClass(node) {
+  return node.class || node.name;
+}
+
+export function computeTreeStatistics(root) {
+  let nodeCount = 0;
+  let leafCount = 0;
+  let depthSum = 0;
+  let maxDepth = 0;
+  let sackinIndex = 0;
+  let collessIndex = 0;
+  let lineageLengthSum = 0;
+  let musicalToNonMusical = 0;
+  let nonMusicalToMusical = 0;
+  const branchingFactors = {};
+
+  // Returns the number of leaves below (and including) node
+  function visit(node, depth, founder) {
+    const isRoot = isSyntheticRoot(node);
+    const children = node.children || [];
+
+    if (!isRoot) {
+      nodeCount++;
+      depthSum += depth;
+      maxDepth = Math.max(maxDepth, depth);
+    }
+
+    if (children.length === 0) {
+      if (!isRoot) {
+        leafCount++;
+        sackinIndex += depth;
+        lineageLengthSum += node.gN - founder.gN;
+      }
+      return 1;
+    }
+
+    if (!isRoot) {
+      branchingFactors[children.length] = (branchingFactors[children.length] || 0) + 1;
+    }
+
+    const childLeafCounts = children.map(child => {
+      if (!isRoot) {
+        const isParentMusical = isMusicalClass(nodeClass(node));
+        const isChildMusical = isMusicalClass(nodeClass(child));
+        if (isParentMusical && !isChildMusical) musicalToNonMusical++;
+        if (!isParentMusical && isChildMusical) nonMusicalToMusical++;
+      }
+      return visit(child, depth + 1, isRoot ? child : founder);
+    });
+
+    // Colless index generalised to multifurcating nodes: sum of pairwise
+    // differences in leaf counts (identical to Colless for binary nodes)
+    if (!isRoot) {
+      for (let i = 0; i < childLeafCounts.length; i++) {
+        for (let j = i + 1; j < childLeafCounts.length; j++) {
+          collessIndex += Math.abs(childLeafCounts[i] - childLeafCounts[j]);
+        }
+      }
+    }
+
+    return childLeafCounts.reduce((sum, count) => sum + count, 0);
+  }
+
+  visit(root, isSyntheticRoot(root) ? 0 : 1, root);
+
+  return {
+    nodeCount,
+    leafCount,
+    maxDepth,
+    meanDepth: nodeCount ? depthSum / nodeCount : 0,
+    branchingFactorDistribution: branchingFactors,
+    meanLineageLength: leafCount ? lineageLengthSum / leafCount : 0,
+    sackinIndex,
+    collessIndex,
+    contextSwitches: {
+      musicalToNonMusical,
+      nonMusicalToMusical,
+      total: musicalToNonMusical + nonMusicalToMusical
+    }
+  };
+}
+
+export function treeStatisticsToCSV(statistics) {
+  const rows = [
+    ['nodeCount', statistics.nodeCount],
+    ['leafCount', statistics.leafCount],
+    ['maxDepth', statistics.maxDepth],
+    ['meanDepth', statistics.meanDepth],
+    ['meanLineageLength', statistics.meanLineageLength],
+    ['sackinIndex', statistics.sackinIndex],
+    ['collessIndex', statistics.collessIndex],
+    ['contextSwitchesMusicalToNonMusical', statistics.contextSwitches.musicalToNonMusical],
+    ['contextSwitchesNonMusicalToMusical', statistics.contextSwitches.nonMusicalToMusical],
+    ['contextSwitchesTotal', statistics.contextSwitches.total],
+    ...Object.entries(statistics.branchingFactorDistribution)
+      .map(([branchingFactor, count]) => [`branchingFactor_${branchingFactor}`, count])
+  ];
+  return ['metric,value', ...rows.map(row => row.join(','))].join('\n');
+}
@@ -0,0 +1,130 @@
+import * as d3 from 'd3';
+import { DIFF_COLORS } from './tree-diff';
+import { linkPath, secondaryLinkPath, isPartitionLayout, partitionSegmentPath } from './tree-layouts';
+import { labelOrientation, labelOffset, LABEL_FONT_SIZE } from './tree-labels';
+
+export const NODE_RADIUS = 6;
+export const LINK_WIDTH = 3;
+
+export const COLLAPSED_NODE_RADIUS = NODE_RADIUS * 1.75;
+
+// Screen radius of a node; the viewer stores size-by encodings as d.r
+export const nodeRadius = (d) => d.data.collapsed ? COLLAPSED_NODE_RADIUS : d.r ?? NODE_RADIUS;
+
+// Colours shared by the SVG and canvas renderers
+export const linkStroke = (link) => link.target.data.diff ? DIFF_COLORS[link.target.data.diff] : '#555';
+export const SECONDARY_LINK_COLOR = '#f59e0b';
+// Ring around the node that has keyboard focus, FOCUS_RING_GAP px outside the node
+export const FOCUS_RING_COLOR = '#facc15';
+export const FOCUS_RING_GAP = 4;
+export const axisColor = (theme) => theme === 'light' ? '#374151' : '#9ca3af';
+export const segmentStroke = (theme) => theme === 'light' ? '#f3f4f6' : '#030712';
+export const glyphTextColor = (theme) => theme === 'light' ? '#111827' : '#f9fafb';
+
+const classMixColor = d3.scaleOrdinal(d3.schemeTableau10);
+const OTHER_CLASSES_COLOR = '#6b7280';
+
+// Pie slices for the summary glyph of a collapsed subtree: its five most common classes, the rest grouped together
+export function collapsedGlyphSlices(collapsed) {
+  const top = collapsed.classMix.slice(0, 5);
+  const otherCount = collapsed.classMix.slice(5).reduce((sum, [, count]) => sum + count, 0);
+  const entries = otherCount > 0 ? [...top, ['Other', otherCount]] : top;
+  return d3.pie().sort(null).value(([, count]) => count)(entries)
+    .map((slice, i) => ({ ...slice, color: i < top.length ? classMixColor(slice.data[0]) : OTHER_CLASSES_COLOR }));
+}
+
+// Draws links, crossover links, the generation axis and nodes of a laid out hierarchy into the group g.
+// Used for the interactive SVG view and for SVG export of canvas-rendered trees;
+// `scale` keeps node radii and stroke widths constant on screen at that zoom level.
+export function drawTreeSvg(g, root, { layout, theme, fill, secondaryLinks = [], gNScale = null, height, scale = 1, labelNodes = [] }) {
+  const linkGenerator = linkPath(layout);
+  const links = g.selectAll(".link")
+    .data(linkGenerator ? root.links() : [])
+    .join("path")
+    .attr("class", "link")
+    .attr("fill", "none")
+    .attr("stroke", linkStroke)
+    .attr("stroke-opacity", 0.4)
+    .attr("stroke-width", LINK_WIDTH / scale)
+    .attr("d", linkGenerator);
+
+  // Generation axis, so branch lengths can be read as time
+  if (gNScale) {
+    g.append("g")
+      .attr("class", "gN-axis")
+      .attr("transform", `translate(0,${height / 2 + 20})`)
+      .attr("color", axisColor(theme))
+      .call(d3.axisBottom(gNScale))
+      .append("text")
+      .attr("x", gNScale.range()[1])
+      .attr("y", 30)
+      .attr("fill", "currentColor")
+      .attr("text-anchor", "end")
+      .text("Generation (gN)");
+  }
+
+  // Draw additional parent edges (crossover) of lineage DAGs as dashed curves
+  g.selectAll(".secondary-link")
+    .data(secondaryLinks)
+    .join("path")
+    .attr("class", "link secondary-link")
+    .attr("fill", "none")
+    .attr("stroke", SECONDARY_LINK_COLOR)
+    .attr("stroke-opacity", 0.6)
+    .attr("stroke-width", LINK_WIDTH / scale)
+    .attr("stroke-dasharray", "6,4")
+    .attr("d", d => secondaryLinkPath(d, layout));
+
+  const nodes = g.selectAll(".node")
+    .data(root.descendants())
+    .join("g")
+    .attr("class", "node")
+    .attr("transform", d => `translate(${d.px},${d.py})`);
+
+  // Partition layouts draw each node as a segment; its fill is handled like the circles
+  const circles = (isPartitionLayout(layout) ?
+    nodes.append("path")
+      .attr("d", d => partitionSegmentPath(d, layout))
+      .attr("transform", d => layout === 'sunburst' ? `translate(${-d.px},${-d.py})` : null)
+      .attr("stroke", segmentStroke(theme))
+      .attr("stroke-width", 0.5)
+    : nodes.append("circle")
+      .attr("r", d => nodeRadius(d) / scale))
+    .attr("fill", fill)
+    .attr("class", "node-circle");
+
+  // Collapsed subtrees get a class-mix pie and their descendant count, kept at constant screen size
+  const glyphs = nodes.filter(d => d.data.collapsed)
+    .append("g")
+    .attr("class", "collapsed-glyph")
+    .attr("transform", `scale(${1 / scale})`)
+    .attr("pointer-events", "none");
+  glyphs.selectAll("path")
+    .data(d => collapsedGlyphSlices(d.data.collapsed))
+    .join("path")
+    .attr("d", d3.arc().innerRadius(0).outerRadius(COLLAPSED_NODE_RADIUS * 0.7))
+    .attr("fill", slice => slice.color);
+  glyphs.append("text")
+    .attr("x", COLLAPSED_NODE_RADIUS + 3)
+    .attr("dy", "0.35em")
+    .attr("fill", glyphTextColor(theme))
+    .text(d => `+${d.data.collapsed.count}`);
+
+  // Class-name labels of labelNodes, rotated with the layout and kept at constant screen size like the glyphs
+  const labelSet = new Set(labelNodes);
+  const labels = nodes.filter(d => labelSet.has(d))
+    .append("g")
+    .attr("class", "tree-label")
+    .attr("transform", d => `rotate(${labelOrientation(d, layout).rotate})`)
+    .attr("pointer-events", "none");
+  labels.append("text")
+    .attr("transform", `scale(${1 / scale})`)
+    .attr("x", d => labelOffset(d, nodeRadius(d), labelOrientation(d, layout).flip))
+    .attr("dy", "0.35em")
+    .attr("text-anchor", d => labelOrientation(d, layout).flip ? "end" : "start")
+    .attr("font-size", LABEL_FONT_SIZE)
+    .attr("fill", glyphTextColor(theme))
+    .text(d => d.data.name);
+
+  return { links, nodes, circles, labels };
+}
@@ -1,59 +1,12 @@
-import { useState, useEffect, useRef } from 'react';
-import AudioManager from './AudioManager';
+import { useContext } from 'react';
+import { AudioEngineContext } from './audioEngineContext';
 
+// The shared audio engine of the AudioEngineProvider: the AudioManager (manager), its audioContext,
+// whether that is running, resume() for user gestures, playSound and the engine-wide reverb, polyphony and spatialization settings
 export function useAudioManager() {
-  const [hasInteracted, setHasInteracted] = useState(false);
-  const audioManagerRef = useRef(null);
-  const currentSoundUrlRef = useRef(null);
-
-  useEffect(() => {
-    audioManagerRef.current = new AudioManager();
-    return () => {
-      if (audioManagerRef.current) {
-        audioManagerRef.current.cleanup();
-      }
-    };
-  }, []);
-
-  const playSound = async (url, cellIndices) => {
-    if (!hasInteracted || !audioManagerRef.current) return null;
-    
-    // Skip if trying to play the same sound URL
-    if (url === currentSoundUrlRef.current) return null;
-    
-    try {
-      currentSoundUrlRef.current = url;
-      const result = await audioManagerRef.current.playSound(url, cellIndices);
-      return result;
-    } catch (error) {
-      console.error('Error playing sound:', error);
-      currentSoundUrlRef.current = null;
-      return null;
-    }
-  };
-
-  const setReverbMix = (amount) => {
-    if (!audioManagerRef.current) return;
-    audioManagerRef.current.setReverbMix(amount);
-  };
-
-  const initialize = async () => {
-    if (!audioManagerRef.current) return;
-    
-    try {
-      await audioManagerRef.current.initialize();
-      await audioManagerRef.current.resume();
-      setHasInteracted(true);
-    } catch (error) {
-      console.error('Error initializing audio:', error);
-    }
-  };
-
-  return {
-    hasInteracted,
-    initialize,
-    playSound,
-    setReverbMix,
-    cleanup: () => audioManagerRef.current?.cleanup()
-  };
-}
\ No newline at end of file
+  const engine = useContext(AudioEngineContext);
+  if (!engine) {
+    throw new Error('useAudioManager must be used within an AudioEngineProvider');
+  }
+  return engine;
+}
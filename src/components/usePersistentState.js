@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react';
+
+const STORAGE_PREFIX = 'phylogenetic-sequencer:';
+
+// useState that is persisted to localStorage, so settings survive reloads
+export function usePersistentState(key, defaultValue) {
+  const storageKey = `${STORAGE_PREFIX}${key}`;
+
+  const [value, setValue] = useState(() => {
+    try {
+      const stored = localStorage.getItem(storageKey);
+      return stored !== null ? JSON.parse(stored) : defaultValue;
+    } catch (error) {
+      console.error('Error reading persisted state:', key, error);
+      return defaultValue;
+    }
+  });
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(value));
+    } catch (error) {
+      console.error('Error persisting state:', key, error);
+    }
+  }, [storageKey, value, key]);
+
+  return [value, setValue];
+}